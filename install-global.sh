@@ -14,7 +14,7 @@ mkdir -p "$TRACKER_DIR"
 
 # Copy files to global location
 echo "📋 Copying files..."
-cp "$CURRENT_DIR/scripts/session-tracker.js" "$TRACKER_DIR/"
+cp "$CURRENT_DIR"/scripts/*.js "$TRACKER_DIR/"
 cp "$CURRENT_DIR/claude-session-start.sh" "$TRACKER_DIR/"
 chmod +x "$TRACKER_DIR/claude-session-start.sh"
 
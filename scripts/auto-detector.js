@@ -12,6 +12,7 @@ class ClaudeAutoDetector extends EventEmitter {
         this.activeSessions = new Map(); // sessionId -> sessionData
         this.watchedFiles = new Map(); // filePath -> watcher
         this.pollingInterval = options.pollingInterval || 2000; // 2 seconds
+        this.idleThreshold = options.idleThreshold || null; // Gap (ms) reported as session_idle
         this.isWatching = false;
         this.lastFileStates = new Map(); // filePath -> { size, mtime }
     }
@@ -255,8 +256,19 @@ class ClaudeAutoDetector extends EventEmitter {
             }
         };
 
-        // Update session data
-        sessionData.lastActivity = timestamp;
+        // Update session data; older lines are re-read on every change and must not move it back
+        const previousActivity = new Date(sessionData.lastActivity).getTime();
+        const activityTime = new Date(timestamp).getTime();
+        if (activityTime > previousActivity) {
+            if (this.idleThreshold && activityTime - previousActivity > this.idleThreshold) {
+                this.emit('session_idle', {
+                    sessionId,
+                    start: new Date(previousActivity),
+                    end: new Date(activityTime)
+                });
+            }
+            sessionData.lastActivity = timestamp;
+        }
         sessionData.messageCount++;
 
         // Extract token usage
@@ -323,6 +335,181 @@ class ClaudeAutoDetector extends EventEmitter {
         return fs.existsSync(projectsDir);
     }
 
+    /**
+     * Walk every logged Claude Code entry, oldest file first
+     * Entries need a sessionId and timestamp, the same fields processJSONLEntry relies on.
+     * @param {Date} since - Skip files not modified since this time
+     * @param {Function} callback - Called with each entry
+     */
+    static forEachEntry(since, callback) {
+        const projectsDir = path.join(os.homedir(), '.claude', 'projects');
+        if (!fs.existsSync(projectsDir)) return;
+
+        const sinceMs = since ? since.getTime() : 0;
+        const projectDirs = fs.readdirSync(projectsDir, { withFileTypes: true })
+            .filter(dirent => dirent.isDirectory())
+            .map(dirent => path.join(projectsDir, dirent.name));
+
+        for (const projectDir of projectDirs) {
+            for (const file of fs.readdirSync(projectDir).filter(name => name.endsWith('.jsonl'))) {
+                const filePath = path.join(projectDir, file);
+                try {
+                    // Files untouched since then cannot hold newer entries
+                    if (fs.statSync(filePath).mtime.getTime() < sinceMs) continue;
+
+                    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+                        if (!line.trim()) continue;
+                        let entry;
+                        try {
+                            entry = JSON.parse(line);
+                        } catch (parseError) {
+                            continue;
+                        }
+                        if (entry.sessionId && entry.timestamp) {
+                            callback(entry, filePath);
+                        }
+                    }
+                } catch (error) {
+                    console.error(`Error reading ${filePath}:`, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Find the most recent Claude Code activity for a session
+     * Matches JSONL entries by Claude session id, or by working directory when no id is known.
+     * @param {Object} options - Search options
+     * @param {string} options.claudeSessionId - Claude Code session id
+     * @param {string} options.workingDirectory - Project directory to match entry cwd against
+     * @param {Date} options.since - Ignore activity before this time
+     * @param {Date} options.until - Ignore activity after this time
+     * @returns {Date|null} Time of the last matching entry
+     */
+    static findLastActivity(options = {}) {
+        const since = options.since ? options.since.getTime() : 0;
+        const until = options.until ? options.until.getTime() : Infinity;
+        const matches = this.createSessionMatcher(options);
+
+        let last = null;
+        this.forEachEntry(options.since, entry => {
+            if (!matches(entry)) return;
+            const at = new Date(entry.timestamp).getTime();
+            if (at >= since && at <= until && (!last || at > last)) {
+                last = at;
+            }
+        });
+
+        return last ? new Date(last) : null;
+    }
+
+    /**
+     * Find stretches without Claude Code activity for a session
+     * The time before the first and after the last entry counts too, so a session left open
+     * overnight ends in an idle gap. Nothing is reported when there is no activity at all.
+     * @param {Object} options - Search options, as for findLastActivity (since and until are required)
+     * @param {number} options.threshold - Shortest gap (ms) that counts as idle
+     * @returns {Array} [{ start, end }] as Dates, in order
+     */
+    static findIdleGaps(options = {}) {
+        const since = options.since.getTime();
+        const until = options.until.getTime();
+        const matches = this.createSessionMatcher(options);
+        const times = [];
+
+        this.forEachEntry(options.since, entry => {
+            if (!matches(entry)) return;
+            const at = new Date(entry.timestamp).getTime();
+            if (at >= since && at <= until) {
+                times.push(at);
+            }
+        });
+        if (times.length === 0) return [];
+
+        const points = [since, ...times.sort((a, b) => a - b), until];
+        const gaps = [];
+        for (let i = 1; i < points.length; i++) {
+            if (points[i] - points[i - 1] > options.threshold) {
+                gaps.push({ start: new Date(points[i - 1]), end: new Date(points[i]) });
+            }
+        }
+        return gaps;
+    }
+
+    /**
+     * Token usage logged for a session
+     * Assistant entries repeat the same message for each content block, so each message id counts once.
+     * @param {Object} options - Search options, as for findLastActivity
+     * @returns {Object} { tokens, samples } where samples are [{ at, total }] in order
+     */
+    static collectUsage(options = {}) {
+        const since = options.since ? options.since.getTime() : 0;
+        const matches = this.createSessionMatcher(options);
+        const tokens = { input: 0, output: 0, cacheCreate: 0, cacheRead: 0 };
+        const samples = [];
+        const seen = new Set();
+
+        this.forEachEntry(options.since, entry => {
+            const usage = entry.message?.usage || entry.usage;
+            if (!usage || !matches(entry)) return;
+            const at = new Date(entry.timestamp).getTime();
+            if (at < since) return;
+
+            const messageId = entry.message?.id;
+            if (messageId) {
+                if (seen.has(messageId)) return;
+                seen.add(messageId);
+            }
+
+            const entryTokens = {
+                input: usage.input_tokens || 0,
+                output: usage.output_tokens || 0,
+                cacheCreate: usage.cache_creation_input_tokens || 0,
+                cacheRead: usage.cache_read_input_tokens || 0
+            };
+            Object.keys(tokens).forEach(key => { tokens[key] += entryTokens[key]; });
+            samples.push({
+                at,
+                total: entryTokens.input + entryTokens.output + entryTokens.cacheCreate + entryTokens.cacheRead
+            });
+        });
+
+        return { tokens, samples: samples.sort((a, b) => a.at - b.at) };
+    }
+
+    /**
+     * Build a test for JSONL entries belonging to a session
+     * Matches by Claude session id, or by working directory when no id is known.
+     */
+    static createSessionMatcher(options = {}) {
+        const root = options.workingDirectory ? path.resolve(options.workingDirectory) : null;
+        return entry => {
+            if (options.claudeSessionId) return entry.sessionId === options.claudeSessionId;
+            if (!root || !entry.cwd) return false;
+            const cwd = path.resolve(entry.cwd);
+            return cwd === root || cwd.startsWith(root + path.sep);
+        };
+    }
+
+    /**
+     * Collect message timestamps across all projects
+     * @param {Date} since - Ignore messages before this time
+     * @returns {Array<number>} Sorted timestamps (ms)
+     */
+    static collectTimestamps(since) {
+        const sinceMs = since ? since.getTime() : 0;
+        const timestamps = [];
+
+        this.forEachEntry(since, entry => {
+            const at = new Date(entry.timestamp).getTime();
+            if (!isNaN(at) && at >= sinceMs) {
+                timestamps.push(at);
+            }
+        });
+
+        return timestamps.sort((a, b) => a - b);
+    }
+
     /**
      * Extract working directory from project path
      */
@@ -0,0 +1,90 @@
+// billing-cycle.js - Calendar billing cycles and monthly session quota usage
+
+class BillingCycle {
+    /**
+     * Get the billing cycle containing a date
+     * Cycles start at local midnight on the anchor day; months shorter than the anchor day
+     * start on their last day instead.
+     * @param {Date} date - Any time inside the cycle
+     * @param {number} anchorDay - Day of the month the cycle starts on (1-31)
+     * @returns {Object} { start, end } with end exclusive
+     */
+    static getCycle(date = new Date(), anchorDay = 1) {
+        let start = this.anchorDate(date.getFullYear(), date.getMonth(), anchorDay);
+        if (start > date) {
+            start = this.anchorDate(date.getFullYear(), date.getMonth() - 1, anchorDay);
+        }
+        const end = this.anchorDate(start.getFullYear(), start.getMonth() + 1, anchorDay);
+        return { start, end };
+    }
+
+    /**
+     * Get the cycle before the given one
+     */
+    static getPreviousCycle(cycle, anchorDay = 1) {
+        return this.getCycle(new Date(cycle.start.getTime() - 1), anchorDay);
+    }
+
+    /**
+     * Local midnight on the anchor day of a month, clamped to the month's length
+     * @param {number} year - Full year
+     * @param {number} month - Month index, may be outside 0-11
+     * @param {number} anchorDay - Day of the month
+     */
+    static anchorDate(year, month, anchorDay) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        return new Date(year, month, Math.min(anchorDay, daysInMonth));
+    }
+
+    /**
+     * Count sessions started within a cycle
+     * @param {Array} sessions - Array of session objects
+     * @param {Object} cycle - Cycle from getCycle
+     */
+    static countSessions(sessions, cycle) {
+        return sessions.filter(session => {
+            const started = new Date(session.startTime);
+            return started >= cycle.start && started < cycle.end;
+        }).length;
+    }
+
+    /**
+     * Quota usage for the cycle containing a date
+     * @param {Array} sessions - Array of session objects
+     * @param {Object} options - { quota, anchorDay, now }
+     * @returns {Object} { start, end, used, quota, remaining, percent }
+     */
+    static getUsage(sessions, options = {}) {
+        const quota = options.quota || 50;
+        const cycle = this.getCycle(options.now || new Date(), options.anchorDay || 1);
+        const used = this.countSessions(sessions, cycle);
+
+        return {
+            ...cycle,
+            used,
+            quota,
+            remaining: Math.max(0, quota - used),
+            percent: Math.round((used / quota) * 100)
+        };
+    }
+
+    /**
+     * Quota usage for the current cycle and the ones before it, newest first
+     * @param {Array} sessions - Array of session objects (include archived sessions for older cycles)
+     * @param {Object} options - { quota, anchorDay, now, cycles }
+     */
+    static getHistory(sessions, options = {}) {
+        const anchorDay = options.anchorDay || 1;
+        const history = [];
+        let cycle = this.getCycle(options.now || new Date(), anchorDay);
+
+        for (let i = 0; i < (options.cycles || 12); i++) {
+            history.push(this.getUsage(sessions, { ...options, now: cycle.start }));
+            cycle = this.getPreviousCycle(cycle, anchorDay);
+        }
+
+        return history;
+    }
+}
+
+module.exports = BillingCycle;
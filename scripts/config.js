@@ -2,6 +2,11 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const SessionRecovery = require('./session-recovery');
+const WarningRules = require('./warning-rules');
+const HookRunner = require('./hook-runner');
+const Notifier = require('./notifier');
+const WebhookNotifier = require('./webhook-notifier');
 
 class Config {
     constructor() {
@@ -25,9 +30,98 @@ class Config {
                 warningTimes: {
                     warning30: 30 * 60 * 1000, // 30 minutes
                     warning10: 10 * 60 * 1000   // 10 minutes
+                },
+                recovery: {
+                    policy: 'prompt', // expiry, last-activity, now or prompt
+                    checkOnStart: true
+                },
+                usageWindow: {
+                    enabled: true, // Follow Claude's window from logged message times
+                    lookbackHours: 24, // Scanned until the tracker knows a window start to follow on from
+                    refreshInterval: 60 * 1000 // 1 minute
+                },
+                idle: {
+                    enabled: true, // Cut gaps in Claude Code activity out of active time
+                    threshold: 15 * 60 * 1000 // 15 minutes
                 }
             },
 
+            // Monthly session quota
+            limits: {
+                monthlySessions: 50,
+                billingAnchorDay: 1, // Day of the month the billing cycle starts on
+                warnPercent: 90
+            },
+
+            // Day boundaries for the usage ledger
+            ledger: {
+                timeZone: 'local', // IANA zone such as Europe/London, or local for the system zone
+                dayStartHour: 0 // Work before this hour counts toward the previous day
+            },
+
+            // Background daemon (`daemon start`)
+            daemon: {
+                enabled: true, // Send start/end/pause/resume/status to the daemon when it is running
+                autoDetect: true, // Run Claude Code auto-detection inside the daemon
+                requestTimeout: 10 * 1000,
+                startTimeout: 5 * 1000
+            },
+
+            // Warning rules, evaluated alongside each timer mode's own warning times
+            warnings: {
+                checkInterval: 60 * 1000, // How often rules on tokens and usage are re-checked
+                hookTimeout: 10 * 1000, // Hook commands are stopped after this long
+                context: {
+                    enabled: true, // List uncommitted files in warnings about time running out
+                    maxFiles: 5
+                },
+                wipSnapshot: {
+                    enabled: false, // Save uncommitted work to a git ref before the session ends
+                    before: 5 * 60 * 1000,
+                    ref: 'refs/wip/session-tracker'
+                },
+                rules: []
+                // e.g. { id: 'token-heavy', severity: 'warning', when: { tokensAbove: 2000000 },
+                //        actions: ['console', 'notification'], message: '{tokens} tokens used in {project}' }
+            },
+
+            // Commands run on session lifecycle events; each gets the session as JSON on stdin
+            hooks: {
+                timeout: 10 * 1000, // Per command; a hook may override it with { command, timeout }
+                session_start: [],
+                session_end: [],
+                warning: [],
+                expired: [],
+                auto_detected: [],
+                limit_approaching: []
+                // e.g. session_end: ['jq -r .project.name >> ~/ended.txt']
+            },
+
+            // JavaScript plugins in ~/.claude-session-tracker/plugins (`plugin enable NAME`)
+            plugins: {
+                enabled: []
+            },
+
+            // Break reminders from continuous and daily work time, across all sessions
+            wellbeing: {
+                enabled: true,
+                checkInterval: 60 * 1000,
+                minBreak: 5 * 60 * 1000, // A gap in work this long counts as a break
+                eyeBreakEvery: 20 * 60 * 1000, // 0 turns a reminder off
+                stretchEvery: 60 * 60 * 1000,
+                stopForDayAfter: 8 * 60 * 60 * 1000,
+                dailyCap: 10 * 60 * 60 * 1000 // `start` warns once today's work reaches this
+            },
+
+            // Live `watch` dashboard
+            dashboard: {
+                refreshInterval: 1000, // Redraw every second
+                usageRefreshInterval: 5000, // Re-read token usage from Claude Code's logs
+                plainInterval: 60 * 1000, // Line interval when stdout is not a terminal
+                burnRateWindow: 10 * 60 * 1000, // Burn rate averages the last 10 minutes
+                barWidth: 30
+            },
+
             // Timer modes
             timerModes: {
                 'claude-max': {
@@ -35,6 +129,7 @@ class Config {
                     duration: 5 * 60 * 60 * 1000, // 5 hours
                     warnings: [30 * 60 * 1000, 10 * 60 * 1000],
                     autoEnd: false,
+                    wallClock: true, // Claude's window keeps running while the tracker is paused
                     description: 'Standard 5-hour Claude Code session'
                 },
                 'pomodoro': {
@@ -45,6 +140,7 @@ class Config {
                     breakDuration: 5 * 60 * 1000, // 5 minutes
                     longBreakAfter: 4,
                     longBreakDuration: 15 * 60 * 1000, // 15 minutes
+                    autoStartWork: false, // Start the next work period when a break ends
                     description: 'Pomodoro Technique: 25min work + 5min break'
                 },
                 'deep-work': {
@@ -82,6 +178,34 @@ class Config {
                 console: {
                     enabled: true,
                     colors: true
+                },
+                // Backends tried in order for each severity until one delivers:
+                // windows-toast, notify-send (or D-Bus), terminal (bell and OSC 9), log, console
+                backends: {
+                    info: ['windows-toast', 'notify-send', 'terminal', 'console'],
+                    warning: ['windows-toast', 'notify-send', 'terminal', 'console'],
+                    critical: ['windows-toast', 'notify-send', 'terminal', 'console']
+                },
+                terminal: {
+                    bell: true,
+                    osc9: true // Desktop notification escape sequence (Windows Terminal, iTerm2, kitty, WezTerm)
+                },
+                logFile: null, // For the log backend; defaults to notifications.log next to the session data
+                commandTimeout: 5 * 1000, // powershell.exe, notify-send and gdbus are stopped after this long
+                // Tracker events POSTed to team chat or any JSON endpoint
+                webhooks: {
+                    endpoints: [],
+                    // e.g. { name: 'team', url: 'https://hooks.slack.com/services/...', format: 'slack',
+                    //        events: ['warning', 'expired', 'session_end'] }
+                    retries: 2, // Extra attempts on network errors, 429 and 5xx
+                    backoff: 1000, // Wait before the first retry; doubles each time
+                    timeout: 5 * 1000,
+                    queueLimit: 500 // Payloads kept while an endpoint is unreachable
+                },
+                escalation: {
+                    snoozeMinutes: 5, // Default for `snooze`
+                    criticalWithin: 10 * 60 * 1000, // Warnings this close to the end (and the expiry notice) repeat until acknowledged
+                    repeatAfter: [5 * 60 * 1000, 2 * 60 * 1000, 60 * 1000] // Gap before each repeat, shorter every time
                 }
             },
 
@@ -114,9 +238,15 @@ class Config {
 
             // Data retention
             data: {
+                sessionFile: path.join(this.configDir, 'sessions.json'),
+                importLegacyFiles: true,
+                lockTimeoutMs: 10000,
+                lockStaleMs: 30000,
+                journalSnapshotEvery: 200,
                 retentionDays: 365,
                 autoCleanup: true,
                 backupEnabled: true,
+                maxBackups: 10,
                 maxSessionsInMemory: 1000
             },
 
@@ -283,6 +413,101 @@ class Config {
             errors.push('sessions.maxHours must be a number between 1 and 24');
         }
         
+        const recoveryPolicy = this.get('sessions.recovery.policy', 'prompt');
+        if (!SessionRecovery.POLICIES.includes(recoveryPolicy)) {
+            errors.push(`sessions.recovery.policy must be one of ${SessionRecovery.POLICIES.join(', ')}`);
+        }
+        
+        const idleThreshold = this.get('sessions.idle.threshold', 15 * 60 * 1000);
+        if (typeof idleThreshold !== 'number' || idleThreshold <= 0) {
+            errors.push('sessions.idle.threshold must be a positive number of milliseconds');
+        }
+        
+        const anchorDay = this.get('limits.billingAnchorDay', 1);
+        if (!Number.isInteger(anchorDay) || anchorDay < 1 || anchorDay > 31) {
+            errors.push('limits.billingAnchorDay must be a day of the month between 1 and 31');
+        }
+        
+        const monthlySessions = this.get('limits.monthlySessions', 50);
+        if (typeof monthlySessions !== 'number' || monthlySessions <= 0) {
+            errors.push('limits.monthlySessions must be a positive number');
+        }
+        
+        const dayStartHour = this.get('ledger.dayStartHour', 0);
+        if (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > 23) {
+            errors.push('ledger.dayStartHour must be an hour between 0 and 23');
+        }
+        
+        const timeZone = this.get('ledger.timeZone', 'local');
+        if (timeZone !== 'local') {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone });
+            } catch (error) {
+                errors.push(`ledger.timeZone "${timeZone}" is not a known time zone`);
+            }
+        }
+        
+        ['refreshInterval', 'usageRefreshInterval', 'plainInterval', 'burnRateWindow'].forEach(key => {
+            const value = this.get(`dashboard.${key}`);
+            if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+                errors.push(`dashboard.${key} must be a positive number of milliseconds`);
+            }
+        });
+        
+        errors.push(...WarningRules.validate(this.get('warnings.rules', [])));
+        
+        const snapshotRef = this.get('warnings.wipSnapshot.ref', 'refs/wip/session-tracker');
+        if (typeof snapshotRef !== 'string' || !snapshotRef.startsWith('refs/') || snapshotRef.startsWith('refs/heads/')) {
+            errors.push('warnings.wipSnapshot.ref must be a ref under refs/ outside refs/heads/ (e.g. refs/wip/session-tracker)');
+        }
+        
+        const checkInterval = this.get('warnings.checkInterval', 60 * 1000);
+        if (typeof checkInterval !== 'number' || checkInterval <= 0) {
+            errors.push('warnings.checkInterval must be a positive number of milliseconds');
+        }
+        
+        const hookTimeout = this.get('hooks.timeout', 10 * 1000);
+        if (typeof hookTimeout !== 'number' || hookTimeout <= 0) {
+            errors.push('hooks.timeout must be a positive number of milliseconds');
+        }
+        errors.push(...HookRunner.validate(this.get('hooks', {})));
+        
+        const enabledPlugins = this.get('plugins.enabled', []);
+        if (!Array.isArray(enabledPlugins) || enabledPlugins.some(name => typeof name !== 'string')) {
+            errors.push('plugins.enabled must be an array of plugin names');
+        }
+        
+        errors.push(...Notifier.validate(this.get('notifications.backends', {})));
+        errors.push(...WebhookNotifier.validate(this.get('notifications.webhooks', {}), HookRunner.EVENTS));
+        
+        const commandTimeout = this.get('notifications.commandTimeout', 5 * 1000);
+        if (typeof commandTimeout !== 'number' || commandTimeout <= 0) {
+            errors.push('notifications.commandTimeout must be a positive number of milliseconds');
+        }
+        
+        const repeatAfter = this.get('notifications.escalation.repeatAfter', []);
+        if (!Array.isArray(repeatAfter) || repeatAfter.some(gap => typeof gap !== 'number' || gap <= 0)) {
+            errors.push('notifications.escalation.repeatAfter must be an array of positive milliseconds');
+        }
+        
+        const snoozeMinutes = this.get('notifications.escalation.snoozeMinutes', 5);
+        if (typeof snoozeMinutes !== 'number' || snoozeMinutes <= 0) {
+            errors.push('notifications.escalation.snoozeMinutes must be a positive number');
+        }
+        
+        ['checkInterval', 'minBreak'].forEach(key => {
+            const value = this.get(`wellbeing.${key}`);
+            if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+                errors.push(`wellbeing.${key} must be a positive number of milliseconds`);
+            }
+        });
+        ['eyeBreakEvery', 'stretchEvery', 'stopForDayAfter', 'dailyCap'].forEach(key => {
+            const value = this.get(`wellbeing.${key}`);
+            if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+                errors.push(`wellbeing.${key} must be a number of milliseconds (0 turns it off)`);
+            }
+        });
+        
         // Validate timer modes
         const timerModes = this.get('timerModes');
         for (const [mode, config] of Object.entries(timerModes)) {
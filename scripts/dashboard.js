@@ -0,0 +1,122 @@
+// dashboard.js - Terminal drawing for the live `watch` dashboard
+
+const COLORS = {
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    gray: '\x1b[90m',
+    bold: '\x1b[1m'
+};
+const RESET = '\x1b[0m';
+
+// Alternate screen, hidden cursor; restored by close()
+const ENTER_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_SCREEN = '\x1b[?25h\x1b[?1049l';
+const REDRAW = '\x1b[H\x1b[J';
+
+const STATES = {
+    active: { icon: '🟢', label: 'ACTIVE', color: 'green' },
+    warning: { icon: '🟡', label: 'WARNING', color: 'yellow' },
+    critical: { icon: '🔴', label: 'CRITICAL', color: 'red' },
+    expired: { icon: '🔴', label: 'EXPIRED', color: 'red' },
+    paused: { icon: '⏸️ ', label: 'PAUSED', color: 'gray' },
+    break: { icon: '☕', label: 'BREAK', color: 'cyan' }
+};
+
+class Dashboard {
+    /**
+     * @param {Object} options - Dashboard options
+     * @param {Object} options.stream - Output stream (defaults to stdout)
+     * @param {number} options.barWidth - Progress bar width in characters
+     * @param {boolean} options.color - Use colors on a terminal (NO_COLOR turns them off too)
+     */
+    constructor(options = {}) {
+        this.stream = options.stream || process.stdout;
+        // Pipes and log files get plain lines instead of a redrawn screen
+        this.interactive = Boolean(this.stream.isTTY);
+        this.color = this.interactive && options.color !== false && !process.env.NO_COLOR;
+        this.barWidth = options.barWidth || 30;
+        this.open = false;
+    }
+
+    /**
+     * Replace the screen with a new frame (terminal), or append the lines (anything else)
+     * @param {Array<string>} lines - Frame contents
+     */
+    draw(lines) {
+        if (!this.interactive) {
+            this.stream.write(lines.join('\n') + '\n');
+            return;
+        }
+
+        if (!this.open) {
+            this.stream.write(ENTER_SCREEN);
+            this.open = true;
+        }
+        this.stream.write(REDRAW + lines.join('\n') + '\n');
+    }
+
+    /**
+     * Give the terminal back its normal screen
+     */
+    close() {
+        if (this.open) {
+            this.stream.write(LEAVE_SCREEN);
+            this.open = false;
+        }
+    }
+
+    /**
+     * Color text when the output is a color terminal
+     * @param {string} text - Text to color
+     * @param {string} color - Name from COLORS
+     */
+    paint(text, color) {
+        if (!this.color || !COLORS[color]) return text;
+        return `${COLORS[color]}${text}${RESET}`;
+    }
+
+    /**
+     * Progress bar such as [██████░░░░] colored by state
+     * @param {number|null} fraction - Share of the timer used (0-1), or null when there is no running timer
+     * @param {string} state - Key from STATES
+     */
+    progressBar(fraction, state) {
+        const used = fraction === null ? 0 : Math.round(Math.min(1, Math.max(0, fraction)) * this.barWidth);
+        const bar = '█'.repeat(used) + '░'.repeat(this.barWidth - used);
+        return `[${this.paint(bar, this.getState(state).color)}]`;
+    }
+
+    /**
+     * State label with its icon, colored
+     * @param {string} state - Key from STATES
+     */
+    stateLabel(state) {
+        const info = this.getState(state);
+        return `${info.icon} ${this.paint(info.label, info.color)}`;
+    }
+
+    /**
+     * Display settings for a state
+     */
+    getState(state) {
+        return STATES[state] || STATES.active;
+    }
+
+    /**
+     * Tokens used per minute over the most recent stretch of time
+     * @param {Array} samples - [{ at, total }] token usage samples (ms)
+     * @param {number} now - Reference time (ms)
+     * @param {number} windowMs - How far back to look
+     * @returns {number} Tokens per minute
+     */
+    static getBurnRate(samples, now, windowMs) {
+        const since = now - windowMs;
+        const recent = samples.filter(sample => sample.at > since && sample.at <= now);
+        const total = recent.reduce((sum, sample) => sum + sample.total, 0);
+        return total / (windowMs / 60000);
+    }
+}
+
+module.exports = Dashboard;
@@ -1,6 +1,10 @@
 // export-utils.js - Export session data to various formats
 const fs = require('fs');
 const path = require('path');
+const SessionTime = require('./session-time');
+
+const BUILT_IN_FORMATS = ['csv', 'json', 'markdown', 'all'];
+const customFormats = new Map(); // name -> { extension, description, export }, added by plugins
 
 class ExportUtils {
     /**
@@ -20,6 +24,9 @@ class ExportUtils {
             'Start Time',
             'End Time',
             'Duration (minutes)',
+            'Wall Clock (minutes)',
+            'Active (minutes)',
+            'Idle (minutes)',
             'Mode',
             'Working Directory'
         ];
@@ -36,17 +43,21 @@ class ExportUtils {
             headers.push('Input Tokens', 'Output Tokens', 'Cache Create Tokens', 'Cache Read Tokens', 'Total Tokens');
         }
 
-        headers.push('30min Warning', '10min Warning', 'Environment', 'Claude Session ID');
+        headers.push('30min Warning', '10min Warning', 'Warnings Fired At', 'Environment', 'Claude Session ID');
 
         // Convert sessions to CSV rows
         const csvRows = [headers.join(',')];
 
         for (const session of sessions) {
+            const times = this.getSessionTimes(session);
             const row = [
                 this.escapeCSV(session.id || ''),
                 this.escapeCSV(session.startTime || ''),
                 this.escapeCSV(session.endTime || ''),
                 session.duration ? Math.round(session.duration / (1000 * 60)) : '',
+                Math.round(times.wallClock / (1000 * 60)),
+                Math.round(times.active / (1000 * 60)),
+                Math.round(times.idle / (1000 * 60)),
                 this.escapeCSV(session.mode || 'claude-max'),
                 this.escapeCSV(session.workingDirectory || session.project?.path || '')
             ];
@@ -82,6 +93,7 @@ class ExportUtils {
             row.push(
                 session.warnings?.['30min'] ? 'Yes' : 'No',
                 session.warnings?.['10min'] ? 'Yes' : 'No',
+                this.escapeCSV(this.formatFiredWarnings(session)),
                 this.escapeCSV(session.environment || 'WSL'),
                 this.escapeCSV(session.claudeSessionId || '')
             );
@@ -142,20 +154,20 @@ class ExportUtils {
 
         // Sessions table
         markdown += '## Session Details\n\n';
-        markdown += '| Start Time | Duration | Project | Type | Tokens | Status |\n';
-        markdown += '|------------|----------|---------|------|--------|---------|\n';
+        markdown += '| Start Time | Wall Clock | Active | Project | Type | Tokens | Status |\n';
+        markdown += '|------------|------------|--------|---------|------|--------|---------|\n';
 
         for (const session of sessions) {
             const startTime = session.startTime ? 
                 new Date(session.startTime).toLocaleString() : 'Unknown';
-            const duration = session.duration ? 
-                this.formatDuration(session.duration) : 'In Progress';
+            const times = this.getSessionTimes(session);
+            const active = session.endTime ? this.formatDuration(times.active) : 'In Progress';
             const projectName = session.project?.name || 'Unknown';
             const projectType = session.project?.type || 'unknown';
             const totalTokens = this.calculateTotalTokens(session.tokens);
             const status = session.endTime ? 'Completed' : 'Active';
 
-            markdown += `| ${startTime} | ${duration} | ${projectName} | ${projectType} | ${totalTokens} | ${status} |\n`;
+            markdown += `| ${startTime} | ${this.formatDuration(times.wallClock)} | ${active} | ${projectName} | ${projectType} | ${totalTokens} | ${status} |\n`;
         }
 
         if (includeCharts) {
@@ -173,6 +185,10 @@ class ExportUtils {
         const completedSessions = sessions.filter(s => s.endTime);
         const totalDuration = completedSessions.reduce((sum, s) => sum + (s.duration || 0), 0);
         const avgDuration = completedSessions.length > 0 ? totalDuration / completedSessions.length : 0;
+        const totals = completedSessions.reduce((sum, s) => {
+            const times = this.getSessionTimes(s);
+            return { wallClock: sum.wallClock + times.wallClock, idle: sum.idle + times.idle };
+        }, { wallClock: 0, idle: 0 });
 
         // Project type distribution
         const projectTypes = {};
@@ -186,6 +202,7 @@ class ExportUtils {
 
         let stats = '## Summary Statistics\n\n';
         stats += `- **Total Duration:** ${this.formatDuration(totalDuration)}\n`;
+        stats += `- **Total Wall Clock:** ${this.formatDuration(totals.wallClock)} (${this.formatDuration(totals.idle)} idle)\n`;
         stats += `- **Average Session:** ${this.formatDuration(avgDuration)}\n`;
         stats += `- **Total Tokens Used:** ${totalTokens.toLocaleString()}\n`;
         stats += `- **Active Sessions:** ${sessions.filter(s => !s.endTime).length}\n\n`;
@@ -283,9 +300,68 @@ class ExportUtils {
             console.error('❌ Markdown export failed:', error.message);
         }
 
+        customFormats.forEach((format, name) => {
+            try {
+                results[name] = this.exportToFormat(name, sessions, basePath, options);
+                console.log(`✅ ${name} exported: ${results[name]}`);
+            } catch (error) {
+                console.error(`❌ ${name} export failed:`, error.message);
+            }
+        });
+
         return results;
     }
 
+    /**
+     * Add an export format for --format
+     * @param {string} name - Format name
+     * @param {Object} format - { extension, description, export(sessions, outputPath, options) };
+     *   export writes the file and returns its path
+     */
+    static registerFormat(name, format = {}) {
+        if (BUILT_IN_FORMATS.includes(name) || customFormats.has(name)) {
+            throw new Error(`Export format "${name}" already exists`);
+        }
+        if (typeof format.export !== 'function') {
+            throw new Error(`Export format "${name}" needs an export function`);
+        }
+        customFormats.set(name, {
+            extension: format.extension || name,
+            description: format.description || '',
+            export: format.export
+        });
+    }
+
+    /**
+     * Remove an export format added with registerFormat
+     */
+    static unregisterFormat(name) {
+        customFormats.delete(name);
+    }
+
+    /**
+     * Names of the export formats added with registerFormat
+     */
+    static getCustomFormats() {
+        return [...customFormats.keys()];
+    }
+
+    /**
+     * Export with a format added with registerFormat
+     * @param {string} name - Format name
+     * @param {Array} sessions - Array of session objects
+     * @param {string} basePath - Output path without extension
+     * @param {Object} options - Export options
+     * @returns {string} Path of the written file
+     */
+    static exportToFormat(name, sessions, basePath, options = {}) {
+        const format = customFormats.get(name);
+        if (!format) {
+            throw new Error(`Unknown export format "${name}"`);
+        }
+        return format.export(sessions, `${basePath}.${format.extension}`, options) || `${basePath}.${format.extension}`;
+    }
+
     /**
      * Helper: Escape CSV values
      */
@@ -301,11 +377,16 @@ class ExportUtils {
      * Helper: Sanitize session object for export
      */
     static sanitizeSessionForExport(session) {
+        const times = this.getSessionTimes(session);
         return {
             id: session.id,
             startTime: session.startTime,
             endTime: session.endTime,
             duration: session.duration,
+            wallClockDuration: times.wallClock,
+            activeDuration: times.active,
+            idleDuration: times.idle,
+            idle: session.idle || [],
             mode: session.mode || 'claude-max',
             workingDirectory: session.workingDirectory || session.project?.path,
             project: session.project ? {
@@ -325,12 +406,40 @@ class ExportUtils {
                 '30min': false,
                 '10min': false
             },
+            warningSchedule: session.warningSchedule || [],
+            acknowledgments: session.acknowledgments || [],
             environment: session.environment || 'WSL',
             claudeSessionId: session.claudeSessionId,
             claudeCodeVersion: session.claudeCodeVersion
         };
     }
 
+    /**
+     * Helper: Wall-clock, active and idle time for a session (ms)
+     * Active sessions are measured up to now.
+     */
+    static getSessionTimes(session, now = Date.now()) {
+        const start = new Date(session.startTime).getTime();
+        const end = session.endTime ? new Date(session.endTime).getTime() : now;
+        if (isNaN(start)) return { wallClock: 0, active: 0, idle: 0 };
+
+        return {
+            wallClock: Math.max(0, end - start),
+            active: SessionTime.getActiveMs(session, now),
+            idle: SessionTime.getIdleMs(session, now)
+        };
+    }
+
+    /**
+     * Helper: Fired warnings as "key@time" pairs, with missed ones marked
+     */
+    static formatFiredWarnings(session) {
+        return (session.warningSchedule || [])
+            .filter(entry => entry.firedAt)
+            .map(entry => `${entry.key}@${entry.firedAt}${entry.missed ? ' (missed)' : ''}`)
+            .join('; ');
+    }
+
     /**
      * Helper: Calculate total tokens
      */
@@ -0,0 +1,211 @@
+// hook-runner.js - Run user-configured commands when session lifecycle events happen
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const EVENTS = ['session_start', 'session_end', 'warning', 'expired', 'auto_detected', 'limit_approaching'];
+const OUTPUT_LIMIT = 2000; // Characters of stdout/stderr kept per command
+
+class HookRunner {
+    /**
+     * @param {Object} options - Runner options
+     * @param {Object} options.hooks - Event name -> array of commands (strings or { command, timeout })
+     * @param {number} options.timeout - Default time limit per command (ms)
+     * @param {string} options.logFile - Failures are appended here
+     */
+    constructor(options = {}) {
+        this.hooks = options.hooks || {};
+        this.timeout = options.timeout || 10000;
+        this.logFile = options.logFile || null;
+    }
+
+    /**
+     * Lifecycle events hooks can be declared for
+     */
+    static get EVENTS() {
+        return EVENTS;
+    }
+
+    /**
+     * Commands configured for an event
+     * @returns {Array} [{ command, timeout }]
+     */
+    getCommands(event) {
+        const commands = this.hooks[event];
+        if (!Array.isArray(commands)) return [];
+
+        return commands
+            .map(entry => typeof entry === 'string' ? { command: entry } : entry)
+            .filter(entry => entry && typeof entry.command === 'string' && entry.command.trim())
+            .map(entry => ({ command: entry.command, timeout: entry.timeout || this.timeout }));
+    }
+
+    /**
+     * Run every command configured for an event, one after another
+     * @param {string} event - Event name from EVENTS
+     * @param {Object} session - Session object, written to each command's stdin as JSON
+     * @param {Object} details - Extra fields, passed as CLAUDE_TRACKER_<NAME> variables
+     * @returns {Promise<Array>} One result per command (see runCommand)
+     */
+    async run(event, session, details = {}) {
+        const env = HookRunner.buildEnv(event, session, details);
+        const results = [];
+        for (const hook of this.getCommands(event)) {
+            results.push(await this.runCommand(hook.command, {
+                event,
+                env,
+                input: JSON.stringify(session, null, 2),
+                timeout: hook.timeout
+            }));
+        }
+        return results;
+    }
+
+    /**
+     * Run one command through the shell
+     * The command and anything it starts are stopped when the time limit passes.
+     * @param {string} command - Shell command
+     * @param {Object} options - { event, env, input, timeout }
+     * @returns {Promise<Object>} { command, ok, code, signal, timedOut, durationMs, stdout, stderr, error }
+     */
+    runCommand(command, options = {}) {
+        const timeout = options.timeout || this.timeout;
+        const started = Date.now();
+
+        return new Promise(resolve => {
+            let stdout = '';
+            let stderr = '';
+            let timedOut = false;
+            let settled = false;
+            let child;
+
+            const finish = result => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                const outcome = {
+                    command,
+                    durationMs: Date.now() - started,
+                    stdout: stdout.trim(),
+                    stderr: stderr.trim(),
+                    timedOut,
+                    ...result
+                };
+                if (!outcome.ok) {
+                    this.logFailure(options.event, outcome);
+                }
+                resolve(outcome);
+            };
+
+            try {
+                child = spawn(command, {
+                    shell: true,
+                    detached: true, // Own process group, so a timeout stops the whole pipeline
+                    stdio: ['pipe', 'pipe', 'pipe'],
+                    env: { ...process.env, ...(options.env || {}) }
+                });
+            } catch (error) {
+                finish({ ok: false, code: null, signal: null, error: error.message });
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                try {
+                    process.kill(-child.pid, 'SIGTERM');
+                } catch (error) {
+                    child.kill('SIGTERM');
+                }
+            }, timeout);
+
+            child.stdout.on('data', chunk => { stdout = (stdout + chunk).slice(-OUTPUT_LIMIT); });
+            child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-OUTPUT_LIMIT); });
+            child.on('error', error => finish({ ok: false, code: null, signal: null, error: error.message }));
+            child.on('close', (code, signal) => {
+                let error = null;
+                if (timedOut) {
+                    error = `timed out after ${timeout}ms`;
+                } else if (signal) {
+                    error = `stopped by ${signal}`;
+                } else if (code !== 0) {
+                    error = `exited with code ${code}`;
+                }
+                finish({ ok: !error, code, signal, error });
+            });
+
+            child.stdin.on('error', () => {}); // The command need not read its input
+            child.stdin.end(options.input || '');
+        });
+    }
+
+    /**
+     * Append a failed command to the hook log
+     */
+    logFailure(event, result) {
+        if (!this.logFile) return;
+
+        const lines = [`[${new Date().toISOString()}] ${event || 'hook'}: ${result.command} - ${result.error} (${result.durationMs}ms)`];
+        if (result.stderr) {
+            lines.push(...result.stderr.split('\n').map(line => `    ${line}`));
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+            fs.appendFileSync(this.logFile, lines.join('\n') + '\n');
+        } catch (error) {
+            // Logging must never break the tracker
+        }
+    }
+
+    /**
+     * Environment variables describing an event
+     * @returns {Object} CLAUDE_TRACKER_EVENT, _SESSION_ID, _PROJECT, _PROJECT_PATH, _MODE, _START,
+     *   _END, _DURATION_MS, plus one CLAUDE_TRACKER_<NAME> per detail (warning -> CLAUDE_TRACKER_WARNING)
+     */
+    static buildEnv(event, session = {}, details = {}) {
+        const env = {
+            CLAUDE_TRACKER_EVENT: event,
+            CLAUDE_TRACKER_SESSION_ID: session.id || '',
+            CLAUDE_TRACKER_PROJECT: session.project?.name || '',
+            CLAUDE_TRACKER_PROJECT_PATH: session.project?.path || session.workingDirectory || '',
+            CLAUDE_TRACKER_MODE: session.mode || '',
+            CLAUDE_TRACKER_START: session.startTime || '',
+            CLAUDE_TRACKER_END: session.endTime || '',
+            CLAUDE_TRACKER_DURATION_MS: session.duration !== null && session.duration !== undefined ? String(session.duration) : ''
+        };
+
+        Object.entries(details).forEach(([name, value]) => {
+            if (value === null || value === undefined) return;
+            const key = name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+            env[`CLAUDE_TRACKER_${key}`] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+        return env;
+    }
+
+    /**
+     * Problems with the hooks configuration
+     * @param {Object} hooks - The hooks config section
+     * @returns {Array<string>} Error messages
+     */
+    static validate(hooks) {
+        const errors = [];
+        EVENTS.forEach(event => {
+            const commands = hooks[event];
+            if (commands === undefined) return;
+            if (!Array.isArray(commands)) {
+                errors.push(`hooks.${event} must be an array of commands`);
+                return;
+            }
+            commands.forEach((entry, index) => {
+                const command = typeof entry === 'string' ? entry : entry && entry.command;
+                if (typeof command !== 'string' || !command.trim()) {
+                    errors.push(`hooks.${event}[${index}] must be a command string or { command, timeout }`);
+                } else if (entry.timeout !== undefined && (typeof entry.timeout !== 'number' || entry.timeout <= 0)) {
+                    errors.push(`hooks.${event}[${index}].timeout must be a positive number of milliseconds`);
+                }
+            });
+        });
+        return errors;
+    }
+}
+
+module.exports = HookRunner;
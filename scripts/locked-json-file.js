@@ -0,0 +1,181 @@
+// locked-json-file.js - JSON file shared between processes, guarded by an advisory lock file and written atomically
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+class LockedJsonFile {
+    /**
+     * @param {Object} options - File options
+     * @param {string} options.filePath - Absolute path of the JSON file
+     * @param {string} options.label - What the file holds, as named in lock messages
+     * @param {number} options.lockTimeout - Give up waiting for the lock after this many milliseconds
+     * @param {number} options.lockStaleAfter - A lock held longer than this is taken over
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath;
+        this.lockFile = `${this.filePath}.lock`;
+        this.label = options.label || path.basename(this.filePath);
+        this.lockTimeout = options.lockTimeout || 10000; // 10 seconds
+        this.lockStaleAfter = options.lockStaleAfter || 30000; // 30 seconds
+        this.lockDepth = 0;
+    }
+
+    /**
+     * Check whether the file has been created yet
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Read the parsed contents, or null if the file does not exist yet
+     */
+    read() {
+        if (!this.exists()) return null;
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    /**
+     * Write data atomically (temp file + rename) so a crash never leaves a half-written file
+     */
+    write(data) {
+        LockedJsonFile.writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Acquire the advisory lock, waiting for other processes to release it
+     */
+    acquireLock() {
+        // Re-entrant within a single process
+        if (this.lockDepth > 0) {
+            this.lockDepth++;
+            return;
+        }
+
+        const dir = path.dirname(this.lockFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const deadline = Date.now() + this.lockTimeout;
+        while (true) {
+            try {
+                const fd = fs.openSync(this.lockFile, 'wx');
+                fs.writeSync(fd, JSON.stringify({
+                    pid: process.pid,
+                    hostname: os.hostname(),
+                    acquiredAt: new Date().toISOString()
+                }));
+                fs.closeSync(fd);
+                this.lockDepth = 1;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            if (this.isLockStale()) {
+                console.log(`🔓 Removing stale ${this.label} lock`);
+                try {
+                    fs.unlinkSync(this.lockFile);
+                } catch (error) {
+                    // Another process beat us to it
+                }
+                continue;
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting for ${this.label} lock (${this.lockFile})`);
+            }
+            LockedJsonFile.sleep(50);
+        }
+    }
+
+    /**
+     * Release the advisory lock
+     */
+    releaseLock() {
+        if (this.lockDepth === 0) return;
+        this.lockDepth--;
+        if (this.lockDepth > 0) return;
+
+        try {
+            fs.unlinkSync(this.lockFile);
+        } catch (error) {
+            // Already removed as stale by another process
+        }
+    }
+
+    /**
+     * Check whether the current lock holder is gone or has held the lock too long
+     */
+    isLockStale() {
+        try {
+            const stats = fs.statSync(this.lockFile);
+            if (Date.now() - stats.mtime.getTime() > this.lockStaleAfter) {
+                return true;
+            }
+
+            const owner = JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+            if (owner.hostname === os.hostname() && owner.pid) {
+                return !LockedJsonFile.isProcessAlive(owner.pid);
+            }
+            return false;
+        } catch (error) {
+            // Lock vanished or is still being written; retry on next pass
+            return false;
+        }
+    }
+
+    /**
+     * Run a function while holding the lock
+     */
+    withLock(fn) {
+        this.acquireLock();
+        try {
+            return fn();
+        } finally {
+            this.releaseLock();
+        }
+    }
+
+    /**
+     * Write a file via a temporary sibling and rename it into place
+     */
+    static writeFileAtomic(filePath, contents) {
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, contents);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    }
+
+    /**
+     * Check whether a process id is still running
+     */
+    static isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Block the current thread for a short time
+     */
+    static sleep(ms) {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    }
+}
+
+module.exports = LockedJsonFile;
@@ -0,0 +1,198 @@
+// migrations.js - Ordered, versioned migrations for the session data file
+const path = require('path');
+
+/**
+ * Migrations run in order; each one upgrades data written by the previous version.
+ * An up-step mutates the data it is given and returns a list of human-readable changes.
+ */
+const MIGRATIONS = [
+    {
+        version: '2.0.0',
+        description: 'Project, token and warning metadata on every session',
+        up(data, context) {
+            const changes = [];
+
+            data.sessions = (data.sessions || []).map(session => {
+                // Check if session is already in new format
+                if (session.project && session.tokens) {
+                    return session;
+                }
+
+                // Only trust directories recorded with the session, never the current one
+                const workingDir = session.workingDirectory || context.sourceDir || null;
+                changes.push(`session ${session.id || '(no id)'}: converted to project/token format`);
+
+                return {
+                    id: session.id || context.generateId(),
+                    startTime: session.startTime,
+                    endTime: session.endTime,
+                    duration: session.duration,
+                    mode: 'claude-max', // Default for old sessions
+                    workingDirectory: workingDir,
+                    project: workingDir && context.detectProject ?
+                        context.detectProject(workingDir) : {
+                            name: workingDir ? path.basename(workingDir) : 'Unknown Project',
+                            path: workingDir || 'Unknown',
+                            type: 'unknown',
+                            git: null
+                        },
+                    tags: [],
+                    warnings: {
+                        '30min': false,
+                        '10min': false
+                    },
+                    tokens: {
+                        input: 0,
+                        output: 0,
+                        cacheCreate: 0,
+                        cacheRead: 0
+                    },
+                    environment: session.environment || 'WSL',
+                    claudeSessionId: session.claudeSessionId || null,
+                    claudeCodeVersion: session.claudeCodeVersion || null
+                };
+            });
+
+            data.totalUsage = data.totalUsage || 0;
+            data.lastReset = data.lastReset || new Date().toISOString();
+            data.monthlySessionCount = data.monthlySessionCount || 0;
+            data.lastMonthReset = data.lastMonthReset || new Date().toISOString();
+            data.autoDetection = {
+                enabled: context.autoDetect,
+                lastScan: null,
+                activeSessions: []
+            };
+
+            return changes;
+        }
+    },
+    {
+        version: '2.1.0',
+        description: 'Global store bookkeeping and explicit working directories',
+        up(data) {
+            const changes = [];
+
+            if (!Array.isArray(data.imports)) {
+                data.imports = [];
+                changes.push('added legacy import log');
+            }
+
+            data.sessions.forEach(session => {
+                if (!session.workingDirectory && session.project?.path && session.project.path !== 'Unknown') {
+                    session.workingDirectory = session.project.path;
+                    changes.push(`session ${session.id}: workingDirectory set from project path`);
+                }
+                if (!Array.isArray(session.tags)) {
+                    session.tags = session.project?.tags || [];
+                    changes.push(`session ${session.id}: added tags list`);
+                }
+                if (!session.warnings) {
+                    session.warnings = { '30min': false, '10min': false };
+                    changes.push(`session ${session.id}: added warnings flags`);
+                }
+            });
+
+            return changes;
+        }
+    },
+    {
+        version: '2.2.0',
+        description: 'Monthly usage derived from session history per billing cycle',
+        up(data) {
+            const changes = [];
+
+            if ('monthlySessionCount' in data || 'lastMonthReset' in data) {
+                delete data.monthlySessionCount;
+                delete data.lastMonthReset;
+                changes.push('removed stored monthly session counter (now counted per billing cycle)');
+            }
+
+            return changes;
+        }
+    },
+    {
+        version: '2.3.0',
+        description: 'Daily usage derived from sessions per local day',
+        up(data) {
+            const changes = [];
+
+            if ('totalUsage' in data || 'lastReset' in data) {
+                delete data.totalUsage;
+                delete data.lastReset;
+                changes.push('removed stored daily usage counter (now computed per day from sessions)');
+            }
+
+            return changes;
+        }
+    }
+];
+
+class Migrations {
+    /**
+     * Version written by the newest migration
+     */
+    static getLatestVersion() {
+        return MIGRATIONS[MIGRATIONS.length - 1].version;
+    }
+
+    /**
+     * List every migration in order
+     */
+    static list() {
+        return MIGRATIONS.map(({ version, description }) => ({ version, description }));
+    }
+
+    /**
+     * Get migrations that still need to run for this data
+     * @param {Object} data - Session data
+     */
+    static getPending(data) {
+        const current = data.version || '1.0.0';
+        return MIGRATIONS.filter(migration => this.compareVersions(migration.version, current) > 0);
+    }
+
+    /**
+     * Run pending migrations
+     * @param {Object} data - Session data (left untouched)
+     * @param {Object} context - Helpers for the up-steps
+     * @param {string} context.sourceDir - Directory the data file lived in, if known
+     * @param {Function} context.detectProject - Project detector, or null to skip detection
+     * @param {Function} context.generateId - Session id generator
+     * @param {boolean} context.autoDetect - Default auto-detection setting
+     * @returns {Object} { data, fromVersion, applied: [{ version, description, changes }] }
+     */
+    static migrate(data, context = {}) {
+        const fromVersion = data.version || '1.0.0';
+        const migrated = JSON.parse(JSON.stringify(data));
+        const applied = [];
+
+        for (const migration of this.getPending(data)) {
+            const changes = migration.up(migrated, context) || [];
+            migrated.version = migration.version;
+            applied.push({
+                version: migration.version,
+                description: migration.description,
+                changes
+            });
+        }
+
+        return { data: migrated, fromVersion, applied };
+    }
+
+    /**
+     * Compare two dotted version strings
+     * @returns {number} Negative, zero or positive like a sort comparator
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+}
+
+module.exports = Migrations;
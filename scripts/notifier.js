@@ -0,0 +1,272 @@
+// notifier.js - Notification backends (Windows toast, notify-send, terminal, log file) tried in order per severity
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const BACKENDS = ['windows-toast', 'notify-send', 'terminal', 'log', 'console'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_ROUTE = ['windows-toast', 'notify-send', 'terminal', 'console'];
+const URGENCY = { info: 'low', warning: 'normal', critical: 'critical' }; // notify-send urgency levels
+const APP_NAME = 'Claude Code Session Tracker';
+
+class Notifier {
+    /**
+     * @param {Object} options - Notifier options
+     * @param {Object} options.routes - Severity -> backend names, tried in order until one delivers
+     * @param {boolean} options.enabled - false leaves only the console
+     * @param {boolean} options.sound - Play a sound (toast audio, terminal bell)
+     * @param {Object} options.windows - { enabled, toastNotifications, fallbackToTray }
+     * @param {Object} options.terminal - { bell, osc9 }
+     * @param {string} options.logFile - File the log backend appends to
+     * @param {number} options.timeout - Time limit for notification commands (ms)
+     * @param {Object} options.stream - Terminal and console output (defaults to stdout)
+     */
+    constructor(options = {}) {
+        this.routes = options.routes || {};
+        this.enabled = options.enabled !== false;
+        this.sound = options.sound !== false;
+        this.windows = { enabled: true, toastNotifications: true, fallbackToTray: true, ...options.windows };
+        this.terminal = { bell: true, osc9: true, ...options.terminal };
+        this.logFile = options.logFile || null;
+        this.timeout = options.timeout || 5000;
+        this.stream = options.stream || process.stdout;
+    }
+
+    static get BACKENDS() {
+        return BACKENDS;
+    }
+
+    static get SEVERITIES() {
+        return SEVERITIES;
+    }
+
+    /**
+     * Backends tried for a severity, in order
+     */
+    getRoute(severity) {
+        if (!this.enabled) return ['console'];
+        const route = this.routes[severity] || this.routes.warning;
+        return Array.isArray(route) && route.length > 0 ? route : DEFAULT_ROUTE;
+    }
+
+    /**
+     * Deliver a notification through the first backend of its severity's route that works
+     * @param {Object} notification - { title, message, severity }
+     * @returns {Promise<Object>} { backend, failures }: the backend that delivered it (null if
+     *   none did) and [{ backend, error }] for the ones tried before it
+     */
+    async send(notification) {
+        const severity = SEVERITIES.includes(notification.severity) ? notification.severity : 'warning';
+        const failures = [];
+        for (const backend of this.getRoute(severity)) {
+            try {
+                await this.deliver(backend, { ...notification, severity });
+                return { backend, failures };
+            } catch (error) {
+                failures.push({ backend, error: error.message });
+            }
+        }
+        return { backend: null, failures };
+    }
+
+    /**
+     * Deliver through one backend; rejects when it is unavailable or fails
+     */
+    deliver(backend, notification) {
+        switch (backend) {
+            case 'windows-toast':
+                return this.sendWindowsToast(notification);
+            case 'notify-send':
+                return this.sendNotifySend(notification);
+            case 'terminal':
+                return this.sendTerminal(notification);
+            case 'log':
+                return this.sendLog(notification);
+            case 'console':
+                return this.sendConsole(notification);
+            default:
+                return Promise.reject(new Error(`Unknown notification backend "${backend}"`));
+        }
+    }
+
+    /**
+     * Windows toast through powershell.exe (WSL interop), or a tray balloon when toasts fail
+     */
+    sendWindowsToast(notification) {
+        if (!this.windows.enabled) {
+            return Promise.reject(new Error('turned off (notifications.windows.enabled)'));
+        }
+        // Single-quoted PowerShell strings take everything literally except '
+        const quote = text => `'${String(text).replace(/'/g, "''")}'`;
+        const audio = this.sound ? '<audio src="ms-winsoundevent:Notification.Reminder" />' : '<audio silent="true" />';
+        const toast = `
+            [Windows.UI.Notifications.ToastNotificationManager, Windows.UI.Notifications, ContentType = WindowsRuntime] | Out-Null
+            [Windows.UI.Notifications.ToastNotification, Windows.UI.Notifications, ContentType = WindowsRuntime] | Out-Null
+            [Windows.Data.Xml.Dom.XmlDocument, Windows.Data.Xml.Dom.XmlDocument, ContentType = WindowsRuntime] | Out-Null
+            $template = @"
+<toast launch="claude-session" scenario="reminder">
+    <visual>
+        <binding template="ToastGeneric">
+            <text>$([Security.SecurityElement]::Escape($title))</text>
+            <text>$([Security.SecurityElement]::Escape($message))</text>
+            <text placement="attribution">${APP_NAME}</text>
+        </binding>
+    </visual>
+    ${audio}
+    <actions>
+        <action content="Check Status" arguments="action=check"/>
+        <action content="Dismiss" arguments="action=dismiss"/>
+    </actions>
+</toast>
+"@
+            $xml = New-Object Windows.Data.Xml.Dom.XmlDocument
+            $xml.LoadXml($template)
+            $toast = [Windows.UI.Notifications.ToastNotification]::new($xml)
+            $toast.Tag = "ClaudeSession"
+            $toast.Group = "ClaudeCode"
+            [Windows.UI.Notifications.ToastNotificationManager]::CreateToastNotifier("Claude Code Session").Show($toast)`;
+        const tray = `
+            Add-Type -AssemblyName System.Windows.Forms
+            Add-Type -AssemblyName System.Drawing
+            $notification = New-Object System.Windows.Forms.NotifyIcon
+            $notification.Icon = [System.Drawing.SystemIcons]::Information
+            $notification.BalloonTipIcon = [System.Windows.Forms.ToolTipIcon]::Warning
+            $notification.BalloonTipText = $message
+            $notification.BalloonTipTitle = $title
+            $notification.Visible = $true
+            $notification.ShowBalloonTip(10000)
+            Start-Sleep -Seconds 2
+            $notification.Dispose()`;
+
+        let body;
+        if (this.windows.toastNotifications && this.windows.fallbackToTray) {
+            body = `try {${toast}\n} catch {${tray}\n}`;
+        } else {
+            body = this.windows.toastNotifications ? toast : tray;
+        }
+        const script = `$ErrorActionPreference = 'Stop'\n$title = ${quote(notification.title)}\n` +
+            `$message = ${quote(notification.message)}\n${body}`;
+
+        // Encoded, so neither WSL nor Windows argument quoting can mangle the script
+        const encoded = Buffer.from(script, 'utf16le').toString('base64');
+        return this.run('powershell.exe', ['-NoProfile', '-NonInteractive', '-EncodedCommand', encoded],
+            this.timeout + 5000); // The tray balloon stays up for a couple of seconds
+    }
+
+    /**
+     * Desktop notification on Linux: notify-send, or the D-Bus notification service directly
+     */
+    sendNotifySend(notification) {
+        const urgency = URGENCY[notification.severity];
+        return this.run('notify-send', ['-u', urgency, '-a', APP_NAME, notification.title, notification.message])
+            .catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+                // No notify-send (libnotify-bin); gdbus talks to the same service
+                return this.run('gdbus', [
+                    'call', '--session',
+                    '--dest', 'org.freedesktop.Notifications',
+                    '--object-path', '/org/freedesktop/Notifications',
+                    '--method', 'org.freedesktop.Notifications.Notify',
+                    APP_NAME, '0', '', notification.title, notification.message, '[]',
+                    `{'urgency': <byte ${['low', 'normal', 'critical'].indexOf(urgency)}>}`,
+                    notification.severity === 'critical' ? '0' : '10000' // Expire after (ms); 0 stays until dismissed
+                ]);
+            });
+    }
+
+    /**
+     * Terminal bell and an OSC 9 desktop notification, for terminals that support it
+     * (Windows Terminal, iTerm2, kitty, WezTerm, ...)
+     */
+    sendTerminal(notification) {
+        if (!this.stream.isTTY) {
+            return Promise.reject(new Error('output is not a terminal'));
+        }
+        let sequence = '';
+        if (this.terminal.osc9) {
+            // Control characters would end the sequence early
+            const text = `${notification.title}: ${notification.message}`.replace(/[\x00-\x1f\x7f]+/g, ' ');
+            sequence += `\x1b]9;${text}\x07`;
+        }
+        if (this.terminal.bell && this.sound) {
+            sequence += '\x07';
+        }
+        if (!sequence) {
+            return Promise.reject(new Error('turned off (notifications.terminal)'));
+        }
+        this.stream.write(sequence);
+        return Promise.resolve();
+    }
+
+    /**
+     * Append the notification to the log file
+     */
+    sendLog(notification) {
+        if (!this.logFile) {
+            return Promise.reject(new Error('no log file configured'));
+        }
+        const line = `[${new Date().toISOString()}] ${notification.severity.toUpperCase()} ${notification.title}: ` +
+            `${notification.message.replace(/\n/g, ' | ')}\n`;
+        try {
+            fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+            fs.appendFileSync(this.logFile, line);
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Print the notification; the last resort, which always works
+     */
+    sendConsole(notification) {
+        this.stream.write(`\n📱 NOTIFICATION: ${notification.title}\n📝 ${notification.message}\n\n`);
+        return Promise.resolve();
+    }
+
+    /**
+     * Run a notification command
+     * @returns {Promise} Rejects with the error (code ENOENT when the command is missing)
+     */
+    run(file, args, timeout = this.timeout) {
+        return new Promise((resolve, reject) => {
+            execFile(file, args, { timeout }, (error, stdout, stderr) => {
+                if (error) {
+                    if (error.code === 'ENOENT') {
+                        error.message = `${file} not found`;
+                    } else if (error.killed) {
+                        error.message = `${file} timed out after ${timeout}ms`;
+                    } else {
+                        const detail = stderr && stderr.trim().split('\n')[0];
+                        error.message = `${file} exited with code ${error.code}${detail ? ` (${detail})` : ''}`;
+                    }
+                    reject(error);
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    /**
+     * Problems with the per-severity backend lists
+     * @param {Object} routes - notifications.backends
+     * @returns {Array<string>} Error messages
+     */
+    static validate(routes) {
+        if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+            return ['notifications.backends must map severities to lists of backends'];
+        }
+        const errors = [];
+        Object.entries(routes).forEach(([severity, backends]) => {
+            if (!SEVERITIES.includes(severity)) {
+                errors.push(`notifications.backends.${severity} is not a severity (${SEVERITIES.join(', ')})`);
+            } else if (!Array.isArray(backends) || backends.some(backend => !BACKENDS.includes(backend))) {
+                errors.push(`notifications.backends.${severity} must list some of ${BACKENDS.join(', ')}`);
+            }
+        });
+        return errors;
+    }
+}
+
+module.exports = Notifier;
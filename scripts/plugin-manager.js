@@ -0,0 +1,210 @@
+// plugin-manager.js - Load JavaScript plugins that extend the tracker in-process
+const fs = require('fs');
+const path = require('path');
+const ExportUtils = require('./export-utils');
+const ProjectDetector = require('./project-detector');
+const HookRunner = require('./hook-runner');
+
+// Events from ClaudeAutoDetector, passed on to plugins as `detector:<name>`
+const DETECTOR_EVENTS = ['session_started', 'session_updated', 'session_idle', 'session_ended',
+    'monitoring_started', 'monitoring_stopped'];
+
+class PluginManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {string} options.pluginDir - Directory plugins are found in
+     * @param {Array<string>} options.enabled - Names of the plugins to load
+     * @param {Object} options.api - Extra members for every plugin's api object (config, getSessions, ...)
+     */
+    constructor(options = {}) {
+        this.pluginDir = options.pluginDir;
+        this.enabled = options.enabled || [];
+        this.api = options.api || {};
+        this.plugins = new Map(); // name -> { name, file, enabled, loaded, error, description, version, registered }
+        this.handlers = new Map(); // event -> [{ plugin, handler }]
+        this.commands = new Map(); // command -> { plugin, description, usage, run }
+    }
+
+    /**
+     * Events plugins can subscribe to: the tracker lifecycle events and `detector:*`
+     */
+    static get EVENTS() {
+        return HookRunner.EVENTS.concat(DETECTOR_EVENTS.map(name => `detector:${name}`));
+    }
+
+    static get DETECTOR_EVENTS() {
+        return DETECTOR_EVENTS;
+    }
+
+    /**
+     * Plugins present in a directory
+     * A plugin is a `.js` file, or a directory with an index.js or a package.json `main`.
+     * @param {string} pluginDir - Plugin directory
+     * @returns {Array} [{ name, file }] sorted by name
+     */
+    static discover(pluginDir) {
+        let entries;
+        try {
+            entries = fs.readdirSync(pluginDir, { withFileTypes: true });
+        } catch (error) {
+            return []; // No plugin directory yet
+        }
+
+        return entries
+            .map(entry => {
+                const fullPath = path.join(pluginDir, entry.name);
+                if (entry.isFile() && entry.name.endsWith('.js')) {
+                    return { name: entry.name.slice(0, -3), file: fullPath };
+                }
+                if (entry.isDirectory()) {
+                    try {
+                        return { name: entry.name, file: require.resolve(fullPath) };
+                    } catch (error) {
+                        return null; // Not a module
+                    }
+                }
+                return null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Load and activate every enabled plugin
+     * A plugin that throws is reported and skipped, with whatever it registered before
+     * throwing taken back; the others still load.
+     * @returns {Array} Plugins that failed: [{ name, error }]
+     */
+    load() {
+        const failed = [];
+        PluginManager.discover(this.pluginDir).forEach(({ name, file }) => {
+            const plugin = {
+                name,
+                file,
+                enabled: this.enabled.includes(name),
+                loaded: false,
+                error: null,
+                description: '',
+                version: null,
+                registered: { events: [], commands: [], formats: [], detectors: [] }
+            };
+            this.plugins.set(name, plugin);
+            if (!plugin.enabled) return;
+
+            try {
+                const exported = require(file);
+                const activate = typeof exported === 'function' ? exported : exported.activate;
+                if (typeof activate !== 'function') {
+                    throw new Error('module must export a function or { activate }');
+                }
+                plugin.description = exported.description || '';
+                plugin.version = exported.version || null;
+                activate(this.createApi(plugin));
+                plugin.loaded = true;
+            } catch (error) {
+                this.unregister(plugin);
+                plugin.error = error.message;
+                failed.push({ name, error: error.message });
+            }
+        });
+        return failed;
+    }
+
+    /**
+     * Take back the handlers, commands, export formats and project detectors a plugin registered
+     */
+    unregister(plugin) {
+        this.handlers.forEach((handlers, event) =>
+            this.handlers.set(event, handlers.filter(entry => entry.plugin !== plugin.name)));
+        plugin.registered.commands.forEach(name => this.commands.delete(name));
+        plugin.registered.formats.forEach(name => ExportUtils.unregisterFormat(name));
+        plugin.registered.detectors.forEach(detector => ProjectDetector.unregisterDetector(detector));
+        plugin.registered = { events: [], commands: [], formats: [], detectors: [] };
+    }
+
+    /**
+     * The object a plugin's activate function receives
+     */
+    createApi(plugin) {
+        return {
+            ...this.api,
+            name: plugin.name,
+            events: PluginManager.EVENTS,
+
+            /**
+             * Call handler(...args) whenever event happens; it may return a promise
+             */
+            on: (event, handler) => {
+                if (!PluginManager.EVENTS.includes(event)) {
+                    throw new Error(`Unknown event "${event}" (${PluginManager.EVENTS.join(', ')})`);
+                }
+                if (!this.handlers.has(event)) {
+                    this.handlers.set(event, []);
+                }
+                this.handlers.get(event).push({ plugin: plugin.name, handler });
+                plugin.registered.events.push(event);
+            },
+
+            /**
+             * Add a subcommand; run(args, parsedArgs) may return a promise
+             * Built-in commands take precedence over plugin commands of the same name.
+             */
+            registerCommand: (name, command = {}) => {
+                if (this.commands.has(name)) {
+                    throw new Error(`Command "${name}" is already registered by plugin "${this.commands.get(name).plugin}"`);
+                }
+                if (typeof command.run !== 'function') {
+                    throw new Error(`Command "${name}" needs a run function`);
+                }
+                this.commands.set(name, { plugin: plugin.name, name, usage: name, description: '', ...command });
+                plugin.registered.commands.push(name);
+            },
+
+            registerExportFormat: (name, format) => {
+                ExportUtils.registerFormat(name, format);
+                plugin.registered.formats.push(name);
+            },
+
+            registerProjectDetector: detector => {
+                ProjectDetector.registerDetector(detector);
+                plugin.registered.detectors.push(detector);
+            }
+        };
+    }
+
+    /**
+     * Pass an event to every plugin subscribed to it
+     * Handler errors, thrown or rejected, are reported without stopping the tracker.
+     */
+    emit(event, ...args) {
+        (this.handlers.get(event) || []).forEach(({ plugin, handler }) => {
+            const report = error => console.error(`⚠️  Plugin "${plugin}" failed on ${event}: ${error && error.message || error}`);
+            try {
+                Promise.resolve(handler(...args)).catch(report);
+            } catch (error) {
+                report(error);
+            }
+        });
+    }
+
+    /**
+     * Command registered by a plugin
+     * @returns {Object|null} { plugin, usage, description, run }
+     */
+    getCommand(name) {
+        return this.commands.get(name) || null;
+    }
+
+    getCommands() {
+        return [...this.commands.values()];
+    }
+
+    /**
+     * Every plugin found, loaded or not
+     */
+    list() {
+        return [...this.plugins.values()];
+    }
+}
+
+module.exports = PluginManager;
@@ -0,0 +1,130 @@
+// pomodoro.js - Pomodoro cycle state machine (work, short break, long break)
+
+const PHASE_NAMES = {
+    'work': 'Work',
+    'short-break': 'Short break',
+    'long-break': 'Long break',
+    'waiting': 'Waiting to start next cycle'
+};
+
+class Pomodoro {
+    /**
+     * Check whether a timer mode runs as a work/break cycle
+     * @param {Object} timerConfig - Timer mode configuration
+     */
+    static isCycleMode(timerConfig) {
+        return Boolean(timerConfig && timerConfig.breakDuration);
+    }
+
+    /**
+     * State for a session that starts its first work period now
+     * @param {Date} now - Start of the first work period
+     * @returns {Object} { phase, cycle, completedCycles, phaseStartedAt }
+     */
+    static createState(now = new Date()) {
+        return {
+            phase: 'work',
+            cycle: 1,
+            completedCycles: 0,
+            phaseStartedAt: now.toISOString()
+        };
+    }
+
+    /**
+     * State after the current phase finishes
+     * @param {Object} state - Current pomodoro state
+     * @param {Object} timerConfig - Timer mode configuration
+     * @param {Date} now - When the phase finished
+     * @returns {Object} The next state
+     */
+    static advance(state, timerConfig, now = new Date()) {
+        const at = now.toISOString();
+
+        switch (state.phase) {
+            case 'work':
+                const completedCycles = state.completedCycles + 1;
+                const longBreakAfter = timerConfig.longBreakAfter || 4;
+                return {
+                    ...state,
+                    phase: completedCycles % longBreakAfter === 0 ? 'long-break' : 'short-break',
+                    completedCycles,
+                    phaseStartedAt: at
+                };
+            case 'short-break':
+            case 'long-break':
+                if (!timerConfig.autoStartWork) {
+                    return { ...state, phase: 'waiting', phaseStartedAt: at };
+                }
+                return { ...state, phase: 'work', cycle: state.cycle + 1, phaseStartedAt: at };
+            default:
+                return { ...state, phase: 'work', cycle: state.cycle + 1, phaseStartedAt: at };
+        }
+    }
+
+    /**
+     * Length of a phase
+     * @returns {number|null} Milliseconds, or null for a phase that waits for the user
+     */
+    static getPhaseDuration(phase, timerConfig) {
+        switch (phase) {
+            case 'work':
+                return timerConfig.duration;
+            case 'short-break':
+                return timerConfig.breakDuration;
+            case 'long-break':
+                return timerConfig.longBreakDuration || timerConfig.breakDuration * 3;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * When the current phase ends
+     * Pausing during a work period pushes its end back; breaks run on the clock.
+     * @param {Object} session - Session with a pomodoro state
+     * @param {Object} timerConfig - Timer mode configuration
+     * @param {number} now - Reference time (ms)
+     * @returns {number|null} End timestamp (ms), or null while waiting for the user
+     */
+    static getPhaseEnd(session, timerConfig, now = Date.now()) {
+        const state = session.pomodoro;
+        const duration = this.getPhaseDuration(state.phase, timerConfig);
+        if (duration === null) return null;
+
+        const phaseStart = new Date(state.phaseStartedAt).getTime();
+        if (state.phase !== 'work') {
+            return phaseStart + duration;
+        }
+
+        const pausedMs = (session.pauses || []).reduce((total, pause) => {
+            const start = Math.max(new Date(pause.start).getTime(), phaseStart);
+            const end = pause.end ? new Date(pause.end).getTime() : now;
+            return total + Math.max(0, end - start);
+        }, 0);
+        return phaseStart + duration + pausedMs;
+    }
+
+    /**
+     * Check whether a phase keeps the session's work timer stopped
+     */
+    static isBreak(phase) {
+        return phase !== 'work';
+    }
+
+    /**
+     * Human-readable phase name
+     */
+    static getPhaseName(phase) {
+        return PHASE_NAMES[phase] || phase;
+    }
+
+    /**
+     * Work cycles left before the next long break (including the current one)
+     */
+    static getCyclesUntilLongBreak(state, timerConfig) {
+        const longBreakAfter = timerConfig.longBreakAfter || 4;
+        return longBreakAfter - (state.completedCycles % longBreakAfter);
+    }
+}
+
+module.exports = Pomodoro;
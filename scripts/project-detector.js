@@ -1,7 +1,10 @@
 // project-detector.js - Extract project metadata from various sources
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const os = require('os');
+const { execSync, execFileSync } = require('child_process');
+
+const customDetectors = []; // Added by plugins; tried before the built-in detectors
 
 class ProjectDetector {
     /**
@@ -30,6 +33,7 @@ class ProjectDetector {
 
         // Try to detect project type and name from various sources
         const detectors = [
+            ...customDetectors,
             this.detectFromPackageJson,
             this.detectFromPyprojectToml,
             this.detectFromSetupPy,
@@ -59,6 +63,28 @@ class ProjectDetector {
         return project;
     }
 
+    /**
+     * Add a project detector, tried before the built-in ones
+     * @param {Function} detector - Called with the working directory; returns
+     *   { name, type, packageInfo } for a project it recognizes, or null
+     */
+    static registerDetector(detector) {
+        if (typeof detector !== 'function') {
+            throw new Error('A project detector must be a function');
+        }
+        customDetectors.push(detector);
+    }
+
+    /**
+     * Remove a project detector added with registerDetector
+     */
+    static unregisterDetector(detector) {
+        const index = customDetectors.indexOf(detector);
+        if (index !== -1) {
+            customDetectors.splice(index, 1);
+        }
+    }
+
     /**
      * Detect Node.js project from package.json
      */
@@ -336,34 +362,38 @@ class ProjectDetector {
         }
 
         try {
-            const originalCwd = process.cwd();
-            process.chdir(workingDirectory);
-
             const branch = execSync('git rev-parse --abbrev-ref HEAD', { 
+                cwd: workingDirectory,
                 encoding: 'utf8', 
                 timeout: 5000,
                 stdio: 'pipe'
             }).trim();
 
             const lastCommit = execSync('git rev-parse HEAD', { 
+                cwd: workingDirectory,
                 encoding: 'utf8', 
                 timeout: 5000,
                 stdio: 'pipe'
             }).trim();
 
             const lastCommitMessage = execSync('git log -1 --pretty=%B', { 
+                cwd: workingDirectory,
                 encoding: 'utf8', 
                 timeout: 5000,
                 stdio: 'pipe'
             }).trim();
 
-            const remoteUrl = execSync('git config --get remote.origin.url', { 
-                encoding: 'utf8', 
-                timeout: 5000,
-                stdio: 'pipe'
-            }).trim();
-
-            process.chdir(originalCwd);
+            let remoteUrl = null;
+            try {
+                remoteUrl = execSync('git config --get remote.origin.url', { 
+                    cwd: workingDirectory,
+                    encoding: 'utf8', 
+                    timeout: 5000,
+                    stdio: 'pipe'
+                }).trim();
+            } catch (error) {
+                // No origin remote (a local-only repository)
+            }
 
             return {
                 branch,
@@ -388,16 +418,12 @@ class ProjectDetector {
      */
     static hasUncommittedChanges(workingDirectory) {
         try {
-            const originalCwd = process.cwd();
-            process.chdir(workingDirectory);
-
             const status = execSync('git status --porcelain', { 
+                cwd: workingDirectory,
                 encoding: 'utf8', 
                 timeout: 5000,
                 stdio: 'pipe'
             }).trim();
-
-            process.chdir(originalCwd);
             
             return status.length > 0;
         } catch (error) {
@@ -405,6 +431,90 @@ class ProjectDetector {
         }
     }
 
+    /**
+     * Files with uncommitted changes: staged, unstaged or untracked
+     * @returns {Array|null} [{ status, path }] with git's two-letter status, or null outside a repository
+     */
+    static getUncommittedFiles(workingDirectory) {
+        try {
+            const status = execSync('git status --porcelain', {
+                cwd: workingDirectory,
+                encoding: 'utf8',
+                timeout: 5000,
+                stdio: 'pipe'
+            });
+
+            return status
+                .split('\n')
+                .filter(line => line.trim().length > 0)
+                .map(line => ({ status: line.substring(0, 2), path: line.substring(3) }));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * One-line summary of uncommitted files, such as
+     * "3 uncommitted files (2 modified, 1 untracked): a.js, b.js, c.js"
+     * @param {Array} files - Entries from getUncommittedFiles
+     * @param {number} maxFiles - Name at most this many files
+     */
+    static summarizeChanges(files, maxFiles = 5) {
+        const kinds = { M: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', U: 'conflicted', '?': 'untracked' };
+        const counts = {};
+        files.forEach(file => {
+            const code = file.status.trim()[0] || 'M';
+            const kind = kinds[code] || 'modified';
+            counts[kind] = (counts[kind] || 0) + 1;
+        });
+
+        const breakdown = Object.entries(counts).map(([kind, count]) => `${count} ${kind}`).join(', ');
+        const names = files.slice(0, maxFiles).map(file => file.path).join(', ');
+        const more = files.length > maxFiles ? ` and ${files.length - maxFiles} more` : '';
+        return `${files.length} uncommitted file${files.length === 1 ? '' : 's'} (${breakdown}): ${names}${more}`;
+    }
+
+    /**
+     * Save the working tree, untracked files included, as a commit on a dedicated ref
+     * A temporary index is used, so neither the working tree nor the real index is touched.
+     * @param {string} workingDirectory - Directory inside the repository
+     * @param {Object} options - { ref, message }
+     * @returns {Object|null} { commit, ref, files }, or null when there is nothing uncommitted
+     */
+    static createWipSnapshot(workingDirectory, options = {}) {
+        const ref = options.ref || 'refs/wip/session-tracker';
+        const indexFile = path.join(os.tmpdir(), `session-tracker-index-${process.pid}-${Date.now()}`);
+        const git = (args, input) => execFileSync('git', args, {
+            cwd: workingDirectory,
+            encoding: 'utf8',
+            timeout: 30000,
+            stdio: 'pipe',
+            input,
+            env: { ...process.env, GIT_INDEX_FILE: indexFile }
+        }).trim();
+
+        try {
+            const head = git(['rev-parse', '--verify', 'HEAD']);
+            git(['read-tree', head]);
+            git(['add', '-A']);
+            const tree = git(['write-tree']);
+
+            const files = git(['diff-tree', '-r', '--name-only', head, tree]).split('\n').filter(Boolean);
+            if (files.length === 0) return null;
+
+            const message = options.message || 'WIP snapshot';
+            const commit = git(['commit-tree', tree, '-p', head], message);
+            git(['update-ref', '--create-reflog', '-m', message, ref, commit]);
+            return { commit, ref, files: files.length };
+        } finally {
+            try {
+                fs.unlinkSync(indexFile);
+            } catch (error) {
+                // git never created it
+            }
+        }
+    }
+
     /**
      * Validate and sanitize project tags
      */
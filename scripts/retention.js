@@ -0,0 +1,134 @@
+// retention.js - Archive old sessions into compressed yearly files
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const SessionStore = require('./session-store');
+
+class Retention {
+    /**
+     * Pick the sessions that should leave the live store
+     * @param {Array} sessions - Array of session objects
+     * @param {Object} options - Retention options
+     * @param {number} options.retentionDays - Keep completed sessions newer than this
+     * @param {number} options.maxSessions - Keep at most this many sessions in the live store
+     * @param {Date} options.keepSince - Never archive sessions that ended at or after this time
+     *   (the quota and the daily ledger only read the live store)
+     * @param {Date} options.now - Reference time
+     * @returns {Array} Sessions to archive (active sessions are never selected)
+     */
+    static selectForArchive(sessions, options = {}) {
+        const now = options.now || new Date();
+        const cutoff = now.getTime() - (options.retentionDays || 365) * 24 * 60 * 60 * 1000;
+        const keepSince = options.keepSince ? options.keepSince.getTime() : Infinity;
+        const selected = new Set();
+
+        const completed = sessions
+            .filter(session => session.endTime && new Date(session.endTime).getTime() < keepSince)
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+        completed.forEach(session => {
+            if (new Date(session.endTime).getTime() < cutoff) {
+                selected.add(session);
+            }
+        });
+
+        // Trim the oldest completed sessions beyond the in-memory cap
+        if (options.maxSessions) {
+            let remaining = sessions.length - selected.size;
+            for (const session of completed) {
+                if (remaining <= options.maxSessions) break;
+                if (!selected.has(session)) {
+                    selected.add(session);
+                    remaining--;
+                }
+            }
+        }
+
+        return completed.filter(session => selected.has(session));
+    }
+
+    /**
+     * Write sessions into their yearly archive files
+     * @param {string} archiveDir - Directory holding the archives
+     * @param {Array} sessions - Sessions to archive
+     * @returns {Array} Archive files written
+     */
+    static archiveSessions(archiveDir, sessions) {
+        const byYear = {};
+        sessions.forEach(session => {
+            const year = new Date(session.startTime).getFullYear();
+            (byYear[year] = byYear[year] || []).push(session);
+        });
+
+        const written = [];
+        for (const [year, yearSessions] of Object.entries(byYear)) {
+            const archivePath = this.getArchivePath(archiveDir, year);
+            const archived = this.readArchive(archivePath);
+            archived.year = parseInt(year);
+            const knownIds = new Set(archived.sessions.map(s => s.id));
+
+            yearSessions.forEach(session => {
+                if (!knownIds.has(session.id)) {
+                    archived.sessions.push(session);
+                }
+            });
+            archived.sessions.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+            archived.updatedAt = new Date().toISOString();
+
+            SessionStore.writeFileAtomic(archivePath, zlib.gzipSync(JSON.stringify(archived)));
+            written.push(archivePath);
+        }
+
+        return written;
+    }
+
+    /**
+     * Read a yearly archive file
+     */
+    static readArchive(archivePath) {
+        if (!fs.existsSync(archivePath)) {
+            return { year: null, sessions: [] };
+        }
+        return JSON.parse(zlib.gunzipSync(fs.readFileSync(archivePath)).toString('utf8'));
+    }
+
+    /**
+     * Load archived sessions
+     * @param {string} archiveDir - Directory holding the archives
+     * @param {Array} years - Limit to these years (all years if omitted)
+     */
+    static loadArchivedSessions(archiveDir, years = null) {
+        return this.listArchives(archiveDir)
+            .filter(archive => !years || years.includes(archive.year))
+            .reduce((all, archive) => all.concat(this.readArchive(archive.path).sessions), []);
+    }
+
+    /**
+     * List archive files
+     */
+    static listArchives(archiveDir) {
+        if (!fs.existsSync(archiveDir)) return [];
+
+        return fs.readdirSync(archiveDir)
+            .map(file => file.match(/^sessions-(\d{4})\.json\.gz$/))
+            .filter(Boolean)
+            .map(match => {
+                const archivePath = path.join(archiveDir, match[0]);
+                return {
+                    year: parseInt(match[1]),
+                    path: archivePath,
+                    size: fs.statSync(archivePath).size
+                };
+            })
+            .sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * Get the archive file for a year
+     */
+    static getArchivePath(archiveDir, year) {
+        return path.join(archiveDir, `sessions-${year}.json.gz`);
+    }
+}
+
+module.exports = Retention;
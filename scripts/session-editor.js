@@ -0,0 +1,284 @@
+// session-editor.js - Corrections to recorded sessions (edit, split, merge)
+const path = require('path');
+const ProjectDetector = require('./project-detector');
+const SessionTime = require('./session-time');
+
+class SessionEditor {
+    /**
+     * Find a session by full id or unique id prefix
+     * @param {Array} sessions - Array of session objects
+     * @param {string} ref - Session id or prefix
+     * @returns {Object} The matching session
+     */
+    static findSession(sessions, ref) {
+        if (!ref) {
+            throw new Error('Session id is required');
+        }
+
+        const exact = sessions.find(session => session.id === ref);
+        if (exact) return exact;
+
+        const matches = sessions.filter(session => session.id && session.id.startsWith(ref));
+        if (matches.length === 0) {
+            throw new Error(`No session matches "${ref}"`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`"${ref}" matches ${matches.length} sessions - use a longer id`);
+        }
+        return matches[0];
+    }
+
+    /**
+     * Pick one of the open sessions
+     * A target may be a session id (or prefix), a Claude session id, a project name or a path.
+     * Without a target, the session for the current directory wins, then a lone open session.
+     * @param {Array} sessions - Array of session objects
+     * @param {string|null} target - What the user asked for
+     * @param {string} cwd - Directory the command was run from
+     * @returns {Object} The matching open session
+     */
+    static findActiveSession(sessions, target, cwd) {
+        const active = sessions.filter(session => !session.endTime);
+        if (active.length === 0) {
+            throw new Error('No active session found');
+        }
+
+        if (target) {
+            const byId = active.filter(session =>
+                (session.id && session.id.startsWith(target)) ||
+                (session.claudeSessionId && session.claudeSessionId.startsWith(target)));
+            if (byId.length === 1) return byId[0];
+
+            const byName = active.filter(session =>
+                (session.project?.name || '').toLowerCase() === target.toLowerCase());
+            if (byName.length === 1) return byName[0];
+
+            const byPath = this.filterContaining(active, path.resolve(cwd, target));
+            if (byPath.length === 1) return byPath[0];
+
+            const candidates = [byId, byName, byPath].find(list => list.length > 1);
+            if (candidates) {
+                throw new Error(`"${target}" matches ${candidates.length} active sessions:\n` +
+                    candidates.map(session => `  ${session.id}  ${session.project?.name || 'Unknown'}`).join('\n'));
+            }
+            throw new Error(`No active session matches "${target}"`);
+        }
+
+        const here = this.filterContaining(active, cwd);
+        if (here.length === 1) return here[0];
+        if (active.length === 1) return active[0];
+
+        throw new Error(`${active.length} sessions are active - pass a session id, project name or path:\n` +
+            active.map(session => `  ${session.id}  ${session.project?.name || 'Unknown'}`).join('\n'));
+    }
+
+    /**
+     * Sessions whose project directory contains the given path, deepest project first
+     */
+    static filterContaining(sessions, dir) {
+        const resolved = path.resolve(dir);
+        const matches = sessions.filter(session => {
+            const root = session.project?.path || session.workingDirectory;
+            if (!root || root === 'Unknown') return false;
+            const resolvedRoot = path.resolve(root);
+            return resolved === resolvedRoot || resolved.startsWith(resolvedRoot + path.sep);
+        });
+
+        // Nested projects: only the innermost one counts
+        if (matches.length <= 1) return matches;
+        const depth = session => path.resolve(session.project?.path || session.workingDirectory).length;
+        const deepest = Math.max(...matches.map(depth));
+        return matches.filter(session => depth(session) === deepest);
+    }
+
+    /**
+     * Parse a user-supplied time
+     * Accepts anything Date understands, "HH:MM" on the reference day, or offsets like "+1h30m" / "-15m"
+     * @param {string} value - Time to parse
+     * @param {Date} reference - Anchor for clock times and offsets
+     * @returns {Date}
+     */
+    static parseTime(value, reference = new Date()) {
+        const offsetMatch = String(value).match(/^([+-])(?:(\d+)h)?(?:(\d+)m)?$/);
+        if (offsetMatch && (offsetMatch[2] || offsetMatch[3])) {
+            const sign = offsetMatch[1] === '-' ? -1 : 1;
+            const ms = (parseInt(offsetMatch[2] || '0') * 60 + parseInt(offsetMatch[3] || '0')) * 60 * 1000;
+            return new Date(reference.getTime() + sign * ms);
+        }
+
+        const clockMatch = String(value).match(/^(\d{1,2}):(\d{2})$/);
+        if (clockMatch) {
+            const result = new Date(reference);
+            result.setHours(parseInt(clockMatch[1]), parseInt(clockMatch[2]), 0, 0);
+            return result;
+        }
+
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) {
+            throw new Error(`Cannot understand time "${value}"`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Compute a session's duration from its start and end, excluding pauses
+     * @returns {number|null} Duration in ms, or null for an active session
+     */
+    static computeDuration(session) {
+        if (!session.endTime) return null;
+        return SessionTime.getActiveMs(session);
+    }
+
+    /**
+     * Build the field changes for an edit
+     * @param {Object} session - Session being edited
+     * @param {Object} edits - { start, end, duration (minutes), mode, tags (array) }
+     * @param {Array} validModes - Known timer mode keys
+     * @returns {Object} Changed fields, ready to apply
+     */
+    static buildEdit(session, edits, validModes = []) {
+        const changes = {};
+        const startTime = edits.start ?
+            this.parseTime(edits.start, new Date(session.startTime)) :
+            new Date(session.startTime);
+
+        if (edits.start) {
+            changes.startTime = startTime.toISOString();
+        }
+
+        if (edits.end) {
+            changes.endTime = this.parseTime(edits.end, startTime).toISOString();
+        } else if (edits.duration) {
+            const minutes = parseFloat(edits.duration);
+            if (!(minutes > 0)) {
+                throw new Error('Duration must be a positive number of minutes');
+            }
+            changes.endTime = new Date(startTime.getTime() + minutes * 60 * 1000).toISOString();
+        }
+
+        if (edits.mode) {
+            if (validModes.length > 0 && !validModes.includes(edits.mode)) {
+                throw new Error(`Unknown mode "${edits.mode}" (available: ${validModes.join(', ')})`);
+            }
+            changes.mode = edits.mode;
+        }
+
+        if (edits.tags) {
+            const tags = ProjectDetector.validateTags(edits.tags);
+            changes.tags = tags;
+            changes.project = { ...session.project, tags };
+        }
+
+        const updated = { ...session, ...changes };
+        if (updated.endTime && new Date(updated.endTime) <= new Date(updated.startTime)) {
+            throw new Error('End time must be after start time');
+        }
+        if (updated.endTime) {
+            changes.duration = this.computeDuration(updated);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Split a session in two at a point in time
+     * Tokens are divided in proportion to the time on each side.
+     * @param {Object} session - Session to split
+     * @param {Date} at - Split point, strictly inside the session
+     * @param {string} newId - Id for the second half
+     * @returns {Object} { firstChanges, second }
+     */
+    static split(session, at, newId) {
+        const start = new Date(session.startTime);
+        const end = session.endTime ? new Date(session.endTime) : new Date();
+        if (at <= start || at >= end) {
+            throw new Error('Split time must fall inside the session');
+        }
+
+        const ratio = (at - start) / (end - start);
+        const tokens = session.tokens || { input: 0, output: 0, cacheCreate: 0, cacheRead: 0 };
+        const firstTokens = {};
+        const secondTokens = {};
+        Object.keys(tokens).forEach(key => {
+            firstTokens[key] = Math.round((tokens[key] || 0) * ratio);
+            secondTokens[key] = (tokens[key] || 0) - firstTokens[key];
+        });
+
+        const pauses = SessionTime.splitPauses(session.pauses, at);
+        const firstChanges = {
+            endTime: at.toISOString(),
+            tokens: firstTokens,
+            pauses: pauses.before
+        };
+        firstChanges.duration = this.computeDuration({ ...session, ...firstChanges });
+
+        const second = {
+            ...JSON.parse(JSON.stringify(session)),
+            id: newId,
+            startTime: at.toISOString(),
+            tokens: secondTokens,
+            pauses: pauses.after,
+            splitFrom: session.id
+        };
+        second.duration = this.computeDuration(second);
+
+        return { firstChanges, second };
+    }
+
+    /**
+     * Merge two sessions into the earlier one
+     * The time between them is recorded as a pause so it does not count as work.
+     * @param {Object} a - First session
+     * @param {Object} b - Second session
+     * @returns {Object} { keep, remove, changes, gap }
+     */
+    static merge(a, b) {
+        if (a.id === b.id) {
+            throw new Error('Cannot merge a session with itself');
+        }
+
+        const [keep, remove] = new Date(a.startTime) <= new Date(b.startTime) ? [a, b] : [b, a];
+        const keepEnd = keep.endTime ? new Date(keep.endTime) : null;
+        const removeEnd = remove.endTime ? new Date(remove.endTime) : null;
+
+        // An active session keeps the merged result open
+        const endTime = keepEnd && removeEnd ?
+            new Date(Math.max(keepEnd, removeEnd)).toISOString() : null;
+
+        const tokens = {};
+        ['input', 'output', 'cacheCreate', 'cacheRead'].forEach(key => {
+            tokens[key] = (keep.tokens?.[key] || 0) + (remove.tokens?.[key] || 0);
+        });
+
+        const tags = ProjectDetector.validateTags([...(keep.tags || []), ...(remove.tags || [])]
+            .filter((tag, index, all) => all.indexOf(tag) === index));
+
+        const warnings = { ...(keep.warnings || {}) };
+        Object.entries(remove.warnings || {}).forEach(([key, fired]) => {
+            warnings[key] = warnings[key] || fired;
+        });
+
+        const gap = keepEnd ? Math.max(0, new Date(remove.startTime) - keepEnd) : 0;
+        const pauses = [
+            ...(keep.pauses || []),
+            ...(gap > 0 ? [{ start: keepEnd.toISOString(), end: remove.startTime }] : []),
+            ...(remove.pauses || [])
+        ];
+
+        const changes = {
+            endTime,
+            pauses,
+            tokens,
+            tags,
+            project: { ...keep.project, tags },
+            warnings,
+            claudeSessionId: keep.claudeSessionId || remove.claudeSessionId,
+            mergedFrom: [...(keep.mergedFrom || []), remove.id]
+        };
+        changes.duration = this.computeDuration({ ...keep, ...changes });
+
+        return { keep, remove, changes, gap };
+    }
+}
+
+module.exports = SessionEditor;
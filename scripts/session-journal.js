@@ -0,0 +1,411 @@
+// session-journal.js - Append-only event journal for session lifecycle changes
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const SessionStore = require('./session-store');
+
+class SessionJournal {
+    /**
+     * @param {Object} options - Journal options
+     * @param {string} options.journalFile - Absolute path of the JSONL journal
+     * @param {number} options.snapshotEvery - Start a new segment with a snapshot after this many events
+     */
+    constructor(options = {}) {
+        this.journalFile = options.journalFile ||
+            path.join(os.homedir(), '.claude-session-tracker', 'journal.jsonl');
+        // The segment before the latest snapshot, kept for `journal show` and full replays
+        this.previousFile = this.journalFile.replace(/(\.jsonl)?$/, '.1.jsonl');
+        this.snapshotEvery = options.snapshotEvery || 200;
+        this.pending = [];
+    }
+
+    /**
+     * Get the journal file path
+     */
+    getFilePath() {
+        return this.journalFile;
+    }
+
+    /**
+     * Apply an event to the data and queue it for the journal
+     * @param {Object} data - Session store data
+     * @param {string} type - Event type
+     * @param {string|null} sessionId - Tracker session the event belongs to
+     * @param {Object} payload - Event details
+     * @returns {Object} The recorded event
+     */
+    record(data, type, sessionId, payload = {}) {
+        data.journal = data.journal || { seq: 0, eventsSinceSnapshot: 0 };
+
+        const event = {
+            seq: data.journal.seq + 1,
+            type,
+            at: new Date().toISOString(),
+            sessionId: sessionId || null,
+            payload
+        };
+
+        SessionJournal.applyEvent(data, event);
+        this.pending.push(event);
+        return event;
+    }
+
+    /**
+     * Append queued events to the journal, starting a new segment when a snapshot is due
+     * @param {Object} data - Session store data after the queued events were applied
+     */
+    flush(data) {
+        if (this.pending.length === 0) return;
+
+        const lines = this.pending.map(event => JSON.stringify(event));
+        data.journal.eventsSinceSnapshot = (data.journal.eventsSinceSnapshot || 0) + this.pending.length;
+        this.pending = [];
+
+        this.ensureDir();
+        fs.appendFileSync(this.journalFile, lines.join('\n') + '\n');
+
+        if (data.journal.eventsSinceSnapshot >= this.snapshotEvery) {
+            this.writeSnapshot(data);
+        }
+    }
+
+    /**
+     * Drop queued events (the change they belonged to was abandoned)
+     */
+    discard() {
+        this.pending = [];
+    }
+
+    /**
+     * Start a journal for existing data by writing a base snapshot
+     * @param {Object} data - Session store data
+     */
+    initialize(data) {
+        data.journal = { seq: 0, eventsSinceSnapshot: 0 };
+
+        // A journal without a matching store belongs to data that no longer exists
+        if (fs.existsSync(this.journalFile)) {
+            fs.renameSync(this.journalFile, this.journalFile.replace(/\.jsonl$/, `-${Date.now()}.jsonl`));
+        }
+        try {
+            fs.unlinkSync(this.previousFile);
+        } catch (error) {
+            // No earlier segment
+        }
+
+        this.ensureDir();
+        fs.writeFileSync(this.journalFile, JSON.stringify(SessionJournal.createSnapshot(data)) + '\n');
+    }
+
+    /**
+     * Make the current state the base for future replays
+     * The journal restarts at a snapshot entry so it never grows beyond one segment; the
+     * segment it replaces is kept as the previous one. The snapshot takes a sequence number
+     * of its own, so a store saved before it can tell it is behind.
+     * @param {Object} data - Session store data
+     */
+    writeSnapshot(data) {
+        data.journal = data.journal || { seq: 0, eventsSinceSnapshot: 0 };
+        data.journal.seq++;
+        data.journal.eventsSinceSnapshot = 0;
+
+        this.ensureDir();
+        if (fs.existsSync(this.journalFile)) {
+            fs.copyFileSync(this.journalFile, this.previousFile);
+        }
+        SessionStore.writeFileAtomic(this.journalFile, JSON.stringify(SessionJournal.createSnapshot(data)) + '\n');
+    }
+
+    /**
+     * Read every entry kept: the previous segment, then the current one
+     */
+    readAll() {
+        return this.readFile(this.previousFile).concat(this.readFile(this.journalFile));
+    }
+
+    /**
+     * Read the current segment from its latest snapshot on
+     */
+    readSinceSnapshot() {
+        const entries = this.readFile(this.journalFile);
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].type === 'snapshot') return entries.slice(i);
+        }
+        return entries;
+    }
+
+    /**
+     * Read the entries of one journal file
+     */
+    readFile(file) {
+        if (!fs.existsSync(file)) return [];
+
+        const entries = [];
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A torn final line from a crash mid-append; nothing after it was committed
+                console.error('Skipping unreadable journal line:', error.message);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Apply events the snapshot has not seen yet (e.g. after a crash between journal and store writes)
+     * @param {Object} data - Session store data loaded from the snapshot
+     * @returns {number} Number of events applied
+     */
+    catchUp(data) {
+        if (!data.journal) return 0;
+
+        const entries = this.readSinceSnapshot();
+        let applied = 0;
+        // The store was not saved after the journal restarted at a newer snapshot
+        if (entries.length > 0 && entries[0].type === 'snapshot' && entries[0].seq > data.journal.seq) {
+            const state = JSON.parse(JSON.stringify(entries[0].state));
+            data.version = state.version;
+            data.sessions = state.sessions;
+            data.journal.seq = entries[0].seq;
+            applied++;
+        }
+
+        const missed = entries.filter(entry => entry.type !== 'snapshot' && entry.seq > data.journal.seq);
+        missed.forEach(event => SessionJournal.applyEvent(data, event));
+        return applied + missed.length;
+    }
+
+    /**
+     * Rebuild session state from the journal
+     * @param {Object} options - Replay options
+     * @param {boolean} options.full - Start from the oldest snapshot kept instead of the latest one
+     * @returns {Object|null} Rebuilt data fields, or null if the journal is empty
+     */
+    replay(options = {}) {
+        const entries = options.full ? this.readAll() : this.readSinceSnapshot();
+        const base = entries.find(entry => entry.type === 'snapshot');
+        if (!base) return null;
+
+        const data = JSON.parse(JSON.stringify(base.state));
+        data.journal = { seq: base.seq, eventsSinceSnapshot: 0 };
+
+        entries
+            .filter(entry => entry.type !== 'snapshot' && entry.seq > base.seq)
+            .forEach(event => SessionJournal.applyEvent(data, event));
+
+        return data;
+    }
+
+    /**
+     * Make sure the journal directory exists
+     */
+    ensureDir() {
+        const dir = path.dirname(this.journalFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Build a snapshot entry for the journal
+     */
+    static createSnapshot(data) {
+        return {
+            seq: data.journal ? data.journal.seq : 0,
+            type: 'snapshot',
+            at: new Date().toISOString(),
+            state: {
+                version: data.version,
+                sessions: data.sessions
+            }
+        };
+    }
+
+    /**
+     * Insert a session after every session that started no later than it, keeping the list in start order
+     * (a split's second half lands right after the first)
+     */
+    static insertByStart(sessions, session) {
+        const start = new Date(session.startTime).getTime();
+        let index = sessions.length;
+        while (index > 0 && new Date(sessions[index - 1].startTime).getTime() > start) {
+            index--;
+        }
+        sessions.splice(index, 0, session);
+    }
+
+    /**
+     * Apply a single event to the data
+     * @param {Object} data - Session store data
+     * @param {Object} event - Journal event
+     */
+    static applyEvent(data, event) {
+        const session = data.sessions.find(s => s.id === event.sessionId);
+        const { payload } = event;
+
+        switch (event.type) {
+            case 'session_started':
+                if (!session) {
+                    SessionJournal.insertByStart(data.sessions, JSON.parse(JSON.stringify(payload.session)));
+                }
+                break;
+            case 'session_ended':
+                if (session) {
+                    session.endTime = payload.endTime;
+                    session.duration = payload.duration;
+                    // Ending while paused closes the open pause
+                    if (session.pauses && session.pauses.length > 0 && !session.pauses[session.pauses.length - 1].end) {
+                        session.pauses[session.pauses.length - 1].end = payload.endTime;
+                    }
+                    if (payload.tokens) {
+                        session.tokens = { ...payload.tokens };
+                    }
+                    session.endReason = payload.reason;
+                }
+                break;
+            case 'tokens_updated':
+                if (session) {
+                    session.tokens = { ...payload.tokens };
+                }
+                break;
+            case 'warnings_scheduled':
+                if (session) {
+                    const previous = session.warningSchedule || [];
+                    const schedule = payload.warnings.map(entry => {
+                        const existing = previous.find(e => e.key === entry.key);
+                        if (existing && existing.firedAt) return { ...existing };
+                        // A snooze or acknowledgment made before the warning fired still applies
+                        const { critical, ...kept } = existing || {};
+                        return { ...kept, ...entry, firedAt: null };
+                    });
+                    // Warnings fired under an earlier schedule (past pomodoro cycles) stay on record
+                    previous
+                        .filter(entry => entry.firedAt && !schedule.some(e => e.key === entry.key))
+                        .forEach(entry => schedule.push({ ...entry }));
+                    session.warningSchedule = schedule;
+                }
+                break;
+            case 'warning_fired':
+                if (session) {
+                    session.warnings = { ...(session.warnings || {}), [payload.warning]: true };
+                    const schedule = session.warningSchedule || [];
+                    let entry = schedule.find(e => e.key === payload.warning);
+                    if (!entry) {
+                        entry = { key: payload.warning, dueAt: null };
+                        schedule.push(entry);
+                    }
+                    // Older journals have no delivery time; the event time is close enough
+                    entry.firedAt = payload.at || event.at;
+                    if (payload.missed) {
+                        entry.missed = true;
+                    }
+                    session.warningSchedule = schedule;
+                }
+                break;
+            case 'warning_snoozed':
+            case 'warning_acknowledged':
+            case 'warning_repeated':
+                if (session) {
+                    const schedule = session.warningSchedule || [];
+                    let entry = schedule.find(e => e.key === payload.warning);
+                    if (!entry) {
+                        entry = { key: payload.warning, dueAt: null, firedAt: null };
+                        schedule.push(entry);
+                    }
+                    if (event.type === 'warning_snoozed') {
+                        entry.snoozedUntil = payload.until;
+                    } else if (event.type === 'warning_acknowledged') {
+                        entry.acknowledgedAt = payload.at;
+                    } else {
+                        entry.repeats = payload.repeat;
+                        entry.lastRepeatAt = payload.at;
+                    }
+                    session.warningSchedule = schedule;
+                    session.acknowledgments = [...(session.acknowledgments || []), {
+                        warning: payload.warning,
+                        action: event.type.replace('warning_', ''),
+                        at: payload.at || event.at,
+                        ...(payload.until ? { until: payload.until } : {})
+                    }];
+                }
+                break;
+            case 'wip_snapshot':
+                if (session) {
+                    session.wipSnapshots = [...(session.wipSnapshots || []), {
+                        commit: payload.commit,
+                        ref: payload.ref,
+                        files: payload.files,
+                        at: payload.at
+                    }];
+                }
+                break;
+            case 'wellbeing_reminder':
+                if (session) {
+                    session.reminders = [...(session.reminders || []), {
+                        reminder: payload.reminder,
+                        key: payload.key,
+                        at: payload.at
+                    }];
+                }
+                break;
+            case 'sessions_imported':
+                SessionStore.mergeSessions(data, JSON.parse(JSON.stringify(payload.sessions)));
+                break;
+            case 'session_paused':
+                if (session) {
+                    session.pauses = [...(session.pauses || []), { start: payload.at, end: null }];
+                }
+                break;
+            case 'session_resumed':
+                if (session && session.pauses && session.pauses.length > 0) {
+                    session.pauses[session.pauses.length - 1].end = payload.at;
+                }
+                break;
+            case 'idle_detected':
+                if (session) {
+                    session.idle = [...(session.idle || []), { start: payload.start, end: payload.end }];
+                }
+                break;
+            case 'session_removed':
+                data.sessions = data.sessions.filter(s => s.id !== event.sessionId);
+                break;
+            case 'sessions_archived':
+                data.sessions = data.sessions.filter(s => !payload.sessionIds.includes(s.id));
+                break;
+            case 'pomodoro_phase':
+                if (session) {
+                    const pauses = session.pauses || [];
+                    const paused = pauses.length > 0 && !pauses[pauses.length - 1].end;
+                    const onBreak = payload.pomodoro.phase !== 'work';
+                    // Breaks (and waiting for the next cycle) are not work time
+                    if (onBreak && !paused) {
+                        session.pauses = [...pauses, { start: payload.pomodoro.phaseStartedAt, end: null, kind: 'break' }];
+                    } else if (!onBreak && paused) {
+                        pauses[pauses.length - 1].end = payload.pomodoro.phaseStartedAt;
+                    }
+                    session.pomodoro = { ...payload.pomodoro };
+                }
+                break;
+            case 'session_updated':
+                if (session) {
+                    Object.assign(session, JSON.parse(JSON.stringify(payload.changes)));
+                    if (payload.changes.startTime) {
+                        data.sessions.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+                    }
+                }
+                break;
+            default:
+                // Unknown events are kept in the journal for auditing only
+                break;
+        }
+
+        if (data.journal && event.seq > data.journal.seq) {
+            data.journal.seq = event.seq;
+        }
+    }
+}
+
+module.exports = SessionJournal;
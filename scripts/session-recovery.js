@@ -0,0 +1,89 @@
+// session-recovery.js - Detect and close sessions left open by a tracker process that went away
+const os = require('os');
+const SessionStore = require('./session-store');
+
+const POLICIES = ['expiry', 'last-activity', 'now', 'prompt'];
+
+class SessionRecovery {
+    /**
+     * Recovery policies accepted in sessions.recovery.policy
+     */
+    static get POLICIES() {
+        return POLICIES;
+    }
+
+    /**
+     * Owner record for sessions started by this process
+     */
+    static getOwner() {
+        return {
+            pid: process.pid,
+            hostname: os.hostname()
+        };
+    }
+
+    /**
+     * Check whether the process that owns a session is still running
+     * @param {Object} session - Session object
+     * @returns {boolean|null} null when it cannot be told (no owner, or owned by another host)
+     */
+    static isOwnerAlive(session) {
+        const owner = session.owner;
+        if (!owner || !owner.pid || owner.hostname !== os.hostname()) return null;
+        return SessionStore.isProcessAlive(owner.pid);
+    }
+
+    /**
+     * Find open sessions whose owner is gone or whose timer ran out
+     * @param {Array} sessions - Array of session objects
+     * @param {Function} getExpiry - Returns when a session's timer runs out (ms)
+     * @param {number} now - Reference time (ms)
+     * @returns {Array} [{ session, ownerGone, expired, expiry }]
+     */
+    static findOrphans(sessions, getExpiry, now = Date.now()) {
+        return sessions
+            .filter(session => !session.endTime)
+            .map(session => {
+                const expiry = getExpiry(session, now);
+                return {
+                    session,
+                    ownerGone: this.isOwnerAlive(session) === false,
+                    expired: now >= expiry,
+                    expiry
+                };
+            })
+            .filter(orphan => orphan.ownerGone || orphan.expired);
+    }
+
+    /**
+     * Work out when an orphaned session should be closed
+     * @param {Object} orphan - Entry from findOrphans
+     * @param {string} strategy - 'expiry', 'last-activity' or 'now'
+     * @param {Date|null} lastActivity - Last Claude Code activity for the session, if known
+     * @param {number} now - Reference time (ms)
+     * @returns {Object|null} { endTime, basis }, or null if the strategy cannot close it yet
+     */
+    static resolveEndTime(orphan, strategy, lastActivity = null, now = Date.now()) {
+        const start = new Date(orphan.session.startTime).getTime();
+        const latest = Math.min(now, orphan.expiry);
+
+        if (strategy === 'last-activity' && lastActivity) {
+            const at = lastActivity.getTime();
+            if (at > start && at <= latest) {
+                return { endTime: new Date(at), basis: 'last-activity' };
+            }
+        }
+
+        if (strategy === 'now') {
+            return { endTime: new Date(latest), basis: now >= orphan.expiry ? 'expiry' : 'now' };
+        }
+
+        // No usable activity falls back to the expiry, which has to have passed already
+        if (orphan.expired) {
+            return { endTime: new Date(orphan.expiry), basis: 'expiry' };
+        }
+        return null;
+    }
+}
+
+module.exports = SessionRecovery;
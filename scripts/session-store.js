@@ -0,0 +1,201 @@
+// session-store.js - Canonical session store shared by every project directory
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const LockedJsonFile = require('./locked-json-file');
+
+const LEGACY_FILE_NAME = '.claude-sessions.json';
+
+class SessionStore extends LockedJsonFile {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.dataDir - Directory that holds the store (~/.claude-session-tracker)
+     * @param {string} options.sessionFile - Absolute path of the session store file
+     */
+    constructor(options = {}) {
+        const dataDir = options.dataDir || path.join(os.homedir(), '.claude-session-tracker');
+        const sessionFile = options.sessionFile || path.join(dataDir, 'sessions.json');
+        super({
+            filePath: sessionFile,
+            label: 'session store',
+            lockTimeout: options.lockTimeout,
+            lockStaleAfter: options.lockStaleAfter
+        });
+        this.dataDir = dataDir;
+        this.sessionFile = sessionFile;
+        this.backupDir = options.backupDir || path.join(this.dataDir, 'backups');
+    }
+
+    /**
+     * Get the store file path
+     */
+    getFilePath() {
+        return this.sessionFile;
+    }
+
+    /**
+     * Copy the current store file into the backup directory
+     * @param {string} label - Short reason recorded in the backup file name
+     * @returns {string|null} Backup path, or null if there was nothing to back up
+     */
+    createBackup(label = 'manual') {
+        if (!this.exists()) return null;
+
+        if (!fs.existsSync(this.backupDir)) {
+            fs.mkdirSync(this.backupDir, { recursive: true });
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const safeLabel = label.replace(/[^a-zA-Z0-9.-]/g, '_');
+        const backupPath = path.join(this.backupDir, `sessions-${timestamp}-${safeLabel}.json`);
+        fs.copyFileSync(this.sessionFile, backupPath);
+        return backupPath;
+    }
+
+    /**
+     * List backups, newest first
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) return [];
+
+        return fs.readdirSync(this.backupDir)
+            .filter(file => file.startsWith('sessions-') && file.endsWith('.json'))
+            .map(file => {
+                const stats = fs.statSync(path.join(this.backupDir, file));
+                return {
+                    name: file,
+                    path: path.join(this.backupDir, file),
+                    size: stats.size,
+                    createdAt: stats.mtime
+                };
+            })
+            .sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    /**
+     * Delete the oldest backups beyond the limit
+     * @param {number} keep - Number of backups to keep
+     * @returns {Array} Names of deleted backups
+     */
+    rotateBackups(keep) {
+        const removed = [];
+        this.listBackups().slice(keep).forEach(backup => {
+            fs.unlinkSync(backup.path);
+            removed.push(backup.name);
+        });
+        return removed;
+    }
+
+    /**
+     * Read a backup by file name (or unique prefix)
+     * @returns {Object} { backup, data }
+     */
+    readBackup(name) {
+        const matches = this.listBackups().filter(backup => backup.name === name || backup.name.startsWith(name));
+        if (matches.length === 0) {
+            throw new Error(`Backup not found: ${name}`);
+        }
+        if (matches.length > 1 && !matches.some(backup => backup.name === name)) {
+            throw new Error(`Backup name is ambiguous: ${name}`);
+        }
+
+        const backup = matches.find(b => b.name === name) || matches[0];
+        return { backup, data: JSON.parse(fs.readFileSync(backup.path, 'utf8')) };
+    }
+
+    /**
+     * Find stray per-repository session files left by earlier versions
+     * @param {Array} searchDirs - Directories to look in
+     * @returns {Array} Absolute paths of legacy files found
+     */
+    static discoverLegacyFiles(searchDirs = []) {
+        const found = new Set();
+
+        for (const dir of searchDirs) {
+            if (!dir) continue;
+            const candidate = path.resolve(dir, LEGACY_FILE_NAME);
+            try {
+                if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                    found.add(candidate);
+                }
+            } catch (error) {
+                // Unreadable directory, skip it
+                continue;
+            }
+        }
+
+        return Array.from(found);
+    }
+
+    /**
+     * Read sessions from a legacy file
+     * @param {string} filePath - Path of a legacy .claude-sessions.json
+     * @returns {Object|null} Parsed legacy data
+     */
+    static readLegacyFile(filePath) {
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!data || !Array.isArray(data.sessions)) return null;
+            return data;
+        } catch (error) {
+            console.error(`Error reading legacy session file ${filePath}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Merge sessions into the store data, skipping ids that are already present
+     * @param {Object} data - Store data
+     * @param {Array} sessions - Sessions to merge
+     * @param {string} sourceDir - Directory the sessions were recorded in
+     * @returns {number} Number of sessions added
+     */
+    static mergeSessions(data, sessions, sourceDir = null) {
+        const knownIds = new Set(data.sessions.map(s => s.id));
+        let added = 0;
+
+        for (const session of sessions) {
+            if (session.id && knownIds.has(session.id)) continue;
+
+            // Older files never recorded where they lived
+            if (sourceDir && !session.workingDirectory) {
+                session.workingDirectory = sourceDir;
+            }
+
+            data.sessions.push(session);
+            if (session.id) knownIds.add(session.id);
+            added++;
+        }
+
+        data.sessions.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        return added;
+    }
+
+    /**
+     * Get the project path a session belongs to
+     */
+    static getSessionProjectPath(session) {
+        return session.project?.path || session.workingDirectory || null;
+    }
+
+    /**
+     * Filter sessions down to a single project
+     * @param {Array} sessions - Array of session objects
+     * @param {string} projectPath - Project root; nested working directories match too
+     */
+    static filterByProjectPath(sessions, projectPath) {
+        const root = path.resolve(projectPath);
+
+        return sessions.filter(session => {
+            const sessionPath = this.getSessionProjectPath(session);
+            if (!sessionPath) return false;
+
+            const resolved = path.resolve(sessionPath);
+            return resolved === root || resolved.startsWith(root + path.sep);
+        });
+    }
+}
+
+SessionStore.LEGACY_FILE_NAME = LEGACY_FILE_NAME;
+
+module.exports = SessionStore;
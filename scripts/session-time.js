@@ -0,0 +1,169 @@
+// session-time.js - Time accounting for sessions (pauses, idle gaps, active time, expiry)
+
+class SessionTime {
+    /**
+     * Check whether a session is currently paused
+     */
+    static isPaused(session) {
+        const pauses = session.pauses || [];
+        return pauses.length > 0 && !pauses[pauses.length - 1].end;
+    }
+
+    /**
+     * Total paused time for a session
+     * @param {Object} session - Session object
+     * @param {number} now - Reference time for an open pause (ms)
+     * @returns {number} Paused milliseconds
+     */
+    static getPausedMs(session, now = Date.now()) {
+        const sessionEnd = session.endTime ? new Date(session.endTime).getTime() : now;
+
+        return (session.pauses || []).reduce((total, pause) => {
+            const start = new Date(pause.start).getTime();
+            const end = pause.end ? new Date(pause.end).getTime() : sessionEnd;
+            return total + Math.max(0, Math.min(end, sessionEnd) - start);
+        }, 0);
+    }
+
+    /**
+     * Working time for a session: wall-clock time minus pauses and idle gaps
+     * @param {Object} session - Session object
+     * @param {number} now - Reference time for an active session (ms)
+     * @returns {number} Active milliseconds
+     */
+    static getActiveMs(session, now = Date.now()) {
+        return this.sumIntervals(this.getActiveIntervals(session, now));
+    }
+
+    /**
+     * Idle time for a session, not counting idle gaps that fall inside a pause
+     * @param {Object} session - Session object
+     * @param {number} now - Reference time for an active session (ms)
+     * @returns {number} Idle milliseconds
+     */
+    static getIdleMs(session, now = Date.now()) {
+        const excluded = this.sumIntervals(this.getExcludedIntervals(session, now));
+        const paused = this.sumIntervals(this.mergeIntervals(session.pauses, session, now));
+        return Math.max(0, excluded - paused);
+    }
+
+    /**
+     * Working intervals for a session: its span with pauses and idle gaps cut out
+     * @param {Object} session - Session object
+     * @param {number} now - Reference time for an active session (ms)
+     * @returns {Array} [{ start, end }] in ms, in order
+     */
+    static getActiveIntervals(session, now = Date.now()) {
+        const start = new Date(session.startTime).getTime();
+        const end = session.endTime ? new Date(session.endTime).getTime() : now;
+        const intervals = [];
+        let cursor = start;
+
+        this.getExcludedIntervals(session, now).forEach(excluded => {
+            if (excluded.start > cursor) {
+                intervals.push({ start: cursor, end: excluded.start });
+            }
+            cursor = Math.max(cursor, excluded.end);
+        });
+
+        if (end > cursor) {
+            intervals.push({ start: cursor, end });
+        }
+        return intervals;
+    }
+
+    /**
+     * Time that does not count as work: pauses and idle gaps, merged
+     * @param {Object} session - Session object
+     * @param {number} now - Reference time for an active session (ms)
+     * @returns {Array} [{ start, end }] in ms, in order and non-overlapping
+     */
+    static getExcludedIntervals(session, now = Date.now()) {
+        return this.mergeIntervals([...(session.pauses || []), ...(session.idle || [])], session, now);
+    }
+
+    /**
+     * Clamp intervals to a session's span and merge the ones that overlap
+     * Open intervals (no end) run to the end of the session.
+     * @param {Array} intervals - [{ start, end }] as ISO strings
+     * @param {Object} session - Session object
+     * @param {number} now - Reference time for an active session (ms)
+     * @returns {Array} [{ start, end }] in ms
+     */
+    static mergeIntervals(intervals = [], session, now = Date.now()) {
+        const sessionStart = new Date(session.startTime).getTime();
+        const sessionEnd = session.endTime ? new Date(session.endTime).getTime() : now;
+        const merged = [];
+
+        intervals
+            .map(interval => ({
+                start: Math.max(new Date(interval.start).getTime(), sessionStart),
+                end: Math.min(interval.end ? new Date(interval.end).getTime() : sessionEnd, sessionEnd)
+            }))
+            .filter(interval => interval.end > interval.start)
+            .sort((a, b) => a.start - b.start)
+            .forEach(interval => {
+                const last = merged[merged.length - 1];
+                if (last && interval.start <= last.end) {
+                    last.end = Math.max(last.end, interval.end);
+                } else {
+                    merged.push(interval);
+                }
+            });
+
+        return merged;
+    }
+
+    /**
+     * Total length of a list of intervals (ms)
+     */
+    static sumIntervals(intervals) {
+        return intervals.reduce((total, interval) => total + interval.end - interval.start, 0);
+    }
+
+    /**
+     * When a session's timer runs out
+     * Wall-clock modes (the Claude usage window) ignore pauses; local timers are pushed back by them.
+     * @param {Object} session - Session object
+     * @param {Object} timerConfig - Timer mode configuration
+     * @param {number} now - Reference time (ms)
+     * @returns {number} Expiry timestamp (ms)
+     */
+    static getExpiryTime(session, timerConfig, now = Date.now()) {
+        const start = new Date(session.startTime).getTime();
+        if (timerConfig.wallClock) {
+            return start + timerConfig.duration;
+        }
+        return start + timerConfig.duration + this.getPausedMs(session, now);
+    }
+
+    /**
+     * Divide pause intervals around a split point
+     * @param {Array} pauses - Pause intervals
+     * @param {Date} at - Split point
+     * @returns {Object} { before, after }
+     */
+    static splitPauses(pauses = [], at) {
+        const splitAt = at.getTime();
+        const before = [];
+        const after = [];
+
+        pauses.forEach(pause => {
+            const start = new Date(pause.start).getTime();
+            const end = pause.end ? new Date(pause.end).getTime() : null;
+
+            if (end !== null && end <= splitAt) {
+                before.push({ ...pause });
+            } else if (start >= splitAt) {
+                after.push({ ...pause });
+            } else {
+                before.push({ start: pause.start, end: at.toISOString() });
+                after.push({ start: at.toISOString(), end: pause.end });
+            }
+        });
+
+        return { before, after };
+    }
+}
+
+module.exports = SessionTime;
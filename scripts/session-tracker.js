@@ -14,14 +14,53 @@ function generateUUID() {
 const ClaudeAutoDetector = require('./auto-detector');
 const ProjectDetector = require('./project-detector');
 const ExportUtils = require('./export-utils');
+const SessionStore = require('./session-store');
+const SessionJournal = require('./session-journal');
+const Migrations = require('./migrations');
+const Retention = require('./retention');
+const SessionEditor = require('./session-editor');
+const SessionTime = require('./session-time');
+const SessionRecovery = require('./session-recovery');
+const UsageWindow = require('./usage-window');
+const BillingCycle = require('./billing-cycle');
+const UsageLedger = require('./usage-ledger');
+const Pomodoro = require('./pomodoro');
+const Dashboard = require('./dashboard');
+const TrackerDaemon = require('./tracker-daemon');
+const WarningRules = require('./warning-rules');
+const Wellbeing = require('./wellbeing');
+const HookRunner = require('./hook-runner');
+const Notifier = require('./notifier');
+const WebhookNotifier = require('./webhook-notifier');
+const PluginManager = require('./plugin-manager');
 const { getConfig } = require('./config');
 
 // Global configuration
 const config = getConfig();
 let autoDetector = null;
+let trackerDaemon = null; // Set in the daemon process only
+let wellbeingTimer = null;
 
 // Data files and directories
-const SESSION_FILE = '.claude-sessions.json';
+const store = new SessionStore({
+    dataDir: config.getConfigDir(),
+    sessionFile: config.get('data.sessionFile', path.join(config.getConfigDir(), 'sessions.json')),
+    lockTimeout: config.get('data.lockTimeoutMs', 10000),
+    lockStaleAfter: config.get('data.lockStaleMs', 30000)
+});
+const journal = new SessionJournal({
+    journalFile: path.join(path.dirname(store.getFilePath()), 'journal.jsonl'),
+    snapshotEvery: config.get('data.journalSnapshotEvery', 200)
+});
+const ARCHIVE_DIR = path.join(path.dirname(store.getFilePath()), 'archive');
+const DAEMON_SOCKET = path.join(path.dirname(store.getFilePath()), 'daemon.sock');
+const DAEMON_PID_FILE = path.join(path.dirname(store.getFilePath()), 'daemon.pid');
+const DAEMON_LOG_FILE = path.join(path.dirname(store.getFilePath()), 'daemon.log');
+const HOOKS_LOG_FILE = path.join(path.dirname(store.getFilePath()), 'hooks.log');
+const NOTIFICATIONS_LOG_FILE = path.join(path.dirname(store.getFilePath()), 'notifications.log');
+const WEBHOOK_QUEUE_FILE = path.join(path.dirname(store.getFilePath()), 'webhook-queue.json');
+const PLUGIN_DIR = path.join(config.getConfigDir(), 'plugins');
+const DAEMON_COMMANDS = ['start', 'end', 'pause', 'resume', 'status'];
 const CLAUDE_CONFIG_DIR = path.join(os.homedir(), '.claude');
 const CLAUDE_SETTINGS_FILE = path.join(CLAUDE_CONFIG_DIR, 'settings.json');
 
@@ -30,8 +69,10 @@ const MAX_HOURS = config.get('sessions.maxHours', 5);
 const MAX_SESSION_MS = MAX_HOURS * 60 * 60 * 1000;
 const WARNING_30_MIN = config.get('sessions.warningTimes.warning30', 30 * 60 * 1000);
 const WARNING_10_MIN = config.get('sessions.warningTimes.warning10', 10 * 60 * 1000);
+const IDLE_THRESHOLD = config.get('sessions.idle.threshold', 15 * 60 * 1000);
 
-let warningTimeouts = [];
+const warningTimeouts = new Map(); // sessionId -> [timeouts]
+const sessionWatchers = new Map(); // sessionId -> store file listener
 
 function formatTime(ms) {
     const hours = Math.floor(ms / (1000 * 60 * 60));
@@ -86,387 +127,1178 @@ function getClaudeCodeStatus() {
     }
 }
 
-function showWSLNotification(title, message) {
-    const { exec } = require('child_process');
-    
-    // Enhanced Windows notification from WSL
-    const windowsTitle = title.replace(/'/g, "''").replace(/"/g, '\\"');
-    const windowsMessage = message.replace(/'/g, "''").replace(/"/g, '\\"');
-    
-    // Primary method: PowerShell toast notification
-    const toastScript = `
-        try {
-            [Windows.UI.Notifications.ToastNotificationManager, Windows.UI.Notifications, ContentType = WindowsRuntime] | Out-Null
-            [Windows.UI.Notifications.ToastNotification, Windows.UI.Notifications, ContentType = WindowsRuntime] | Out-Null
-            [Windows.Data.Xml.Dom.XmlDocument, Windows.Data.Xml.Dom.XmlDocument, ContentType = WindowsRuntime] | Out-Null
-            
-            $template = @"
-<toast launch="claude-session" scenario="reminder">
-    <visual>
-        <binding template="ToastGeneric">
-            <text>${windowsTitle}</text>
-            <text>${windowsMessage}</text>
-            <text placement="attribution">Claude Code Session Tracker</text>
-        </binding>
-    </visual>
-    <audio src="ms-winsoundevent:Notification.Reminder" />
-    <actions>
-        <action content="Check Status" arguments="action=check"/>
-        <action content="Dismiss" arguments="action=dismiss"/>
-    </actions>
-</toast>
-"@
-            
-            $xml = New-Object Windows.Data.Xml.Dom.XmlDocument
-            $xml.LoadXml($template)
-            $toast = [Windows.UI.Notifications.ToastNotification]::new($xml)
-            $toast.Tag = "ClaudeSession"
-            $toast.Group = "ClaudeCode"
-            $notifier = [Windows.UI.Notifications.ToastNotificationManager]::CreateToastNotifier("Claude Code Session")
-            $notifier.Show($toast)
-            Write-Output "Toast notification sent successfully"
-        } catch {
-            # Fallback to system tray notification
-            Add-Type -AssemblyName System.Windows.Forms
-            Add-Type -AssemblyName System.Drawing
-            
-            $notification = New-Object System.Windows.Forms.NotifyIcon
-            $notification.Icon = [System.Drawing.SystemIcons]::Information
-            $notification.BalloonTipIcon = [System.Windows.Forms.ToolTipIcon]::Warning
-            $notification.BalloonTipText = "${windowsMessage}"
-            $notification.BalloonTipTitle = "${windowsTitle}"
-            $notification.Visible = $true
-            $notification.ShowBalloonTip(10000)
-            Start-Sleep -Seconds 2
-            $notification.Dispose()
-            Write-Output "Fallback notification sent"
-        }
-    `;
-    
-    // Execute PowerShell command from WSL
-    exec(`powershell.exe -Command "${toastScript}"`, (error, stdout, stderr) => {
-        if (error) {
-            // Ultimate fallback: console notification
-            console.log(`\n📱 WINDOWS NOTIFICATION: ${title}`);
-            console.log(`📝 ${message}\n`);
-        } else {
-            console.log(`📱 Windows notification sent: ${title}`);
-        }
+/**
+ * Notification backends from the configuration
+ */
+function getNotifier() {
+    return new Notifier({
+        routes: config.get('notifications.backends', {}),
+        enabled: config.get('notifications.enabled', true),
+        sound: config.get('notifications.sound', true),
+        windows: config.get('notifications.windows', {}),
+        terminal: config.get('notifications.terminal', {}),
+        logFile: config.get('notifications.logFile') || NOTIFICATIONS_LOG_FILE,
+        timeout: config.get('notifications.commandTimeout', 5000)
     });
 }
 
+/**
+ * Webhook endpoints from the configuration
+ */
+function getWebhookNotifier() {
+    return new WebhookNotifier({
+        endpoints: config.get('notifications.webhooks.endpoints', []),
+        retries: config.get('notifications.webhooks.retries', 2),
+        backoff: config.get('notifications.webhooks.backoff', 1000),
+        timeout: config.get('notifications.webhooks.timeout', 5000),
+        queueLimit: config.get('notifications.webhooks.queueLimit', 500),
+        queueFile: WEBHOOK_QUEUE_FILE
+    });
+}
+
+/**
+ * Show a notification through the backends configured for its severity, in the background
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @param {string} severity - info, warning or critical
+ */
+function showNotification(title, message, severity = 'warning') {
+    getNotifier().send({ title, message, severity }).then(result => {
+        if (!result.backend) {
+            console.error(`⚠️  Notification "${title}" not delivered: ` +
+                (result.failures || []).map(failure => `${failure.backend} (${failure.error})`).join(', '));
+        } else if (result.backend !== 'console') {
+            console.log(`📱 Notification sent (${result.backend}): ${title}`);
+        }
+    }).catch(error => console.error(`⚠️  Notification "${title}" not delivered: ${error.message}`));
+}
+
 function loadData() {
+    let data;
     try {
-        if (fs.existsSync(SESSION_FILE)) {
-            const data = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
-            return migrateDataStructure(data);
+        data = store.read();
+    } catch (error) {
+        // Never fall back to an empty store: the caller would save it over the real history
+        return store.withLock(() => recoverStoreData(error));
+    }
+    if (data) {
+        return attachJournal(upgradeStoreData(data));
+    }
+
+    // First run against the global store: pull in history from per-repo files
+    return store.withLock(() => {
+        if (store.exists()) {
+            return attachJournal(upgradeStoreData(store.read()));
+        }
+        
+        const data = createEmptyData();
+        journal.initialize(data);
+        if (config.get('data.importLegacyFiles', true)) {
+            const result = importLegacySessions(data, getLegacySearchDirs());
+            if (result.sessions > 0) {
+                console.log(`📥 Imported ${result.sessions} sessions from ${result.files.length} legacy session file(s)`);
+            }
         }
-    } catch (e) {
-        console.error('Error loading session data:', e);
+        journal.flush(data);
+        saveData(data);
+        return data;
+    });
+}
+
+/**
+ * Rebuild an unreadable session store from the newest readable backup and the journal
+ * The unreadable file is kept next to the store. Call with the store lock held.
+ * @param {Error} readError - Why the store could not be read
+ * @throws {Error} When there is neither a backup nor a journal to rebuild from
+ */
+function recoverStoreData(readError) {
+    // Another process may have rebuilt it while we waited for the lock
+    try {
+        const current = store.read();
+        if (current) return attachJournal(upgradeStoreData(current));
+    } catch (error) {
+        // Still unreadable
     }
-    return {
-        version: '2.0.0',
-        sessions: [],
-        totalUsage: 0,
-        lastReset: new Date().toISOString(),
-        monthlySessionCount: 0,
-        lastMonthReset: new Date().toISOString(),
-        autoDetection: {
-            enabled: config.get('sessions.autoDetect', true),
-            lastScan: null,
-            activeSessions: []
+
+    let backup = null;
+    for (const entry of store.listBackups()) {
+        try {
+            backup = store.readBackup(entry.name);
+            break;
+        } catch (error) {
+            // Try the next newest
         }
-    };
+    }
+    let rebuilt = null;
+    try {
+        rebuilt = journal.replay();
+    } catch (error) {
+        console.error(`⚠️  Cannot read the journal: ${error.message}`);
+    }
+    if (!backup && !rebuilt) {
+        throw new Error(`Cannot read session store ${store.getFilePath()} (${readError.message}) ` +
+            'and there is no backup or journal to rebuild it from');
+    }
+
+    // The backup keeps the fields the journal does not record; the journal has the latest sessions
+    let data = backup ? backup.data : createEmptyData();
+    if (rebuilt) {
+        data = { ...data, version: rebuilt.version, sessions: rebuilt.sessions, journal: rebuilt.journal };
+    }
+    if (Migrations.getPending(data).length > 0) {
+        data = migrateDataStructure(data).data;
+        if (data.journal) {
+            journal.writeSnapshot(data);
+        }
+    }
+
+    const unreadablePath = `${store.getFilePath()}.unreadable-${Date.now()}`;
+    fs.renameSync(store.getFilePath(), unreadablePath);
+    saveData(data);
+
+    const sources = [backup && `backup ${backup.backup.name}`, rebuilt && 'journal'].filter(Boolean);
+    console.error(`⚠️  Session store was unreadable (${readError.message})`);
+    console.error(`🔁 Rebuilt ${data.sessions.length} sessions from ${sources.join(' and ')}; ` +
+        `the unreadable file was kept as ${unreadablePath}`);
+    return data;
 }
 
-function migrateDataStructure(data) {
-    // Check if migration is needed
-    if (data.version === '2.0.0') {
-        return data; // Already migrated
+function attachJournal(data) {
+    if (!data.journal) {
+        // Existing store from before the journal: its current state becomes the base snapshot
+        store.withLock(() => {
+            journal.initialize(data);
+            saveData(data);
+        });
+        return data;
     }
     
-    console.log('🔄 Migrating session data to v2.0.0...');
-    
-    // Migrate old sessions to new format
-    const migratedSessions = (data.sessions || []).map(session => {
-        // Check if session is already in new format
-        if (session.project && session.tokens) {
-            return session;
+    const replayed = journal.catchUp(data);
+    if (replayed > 0) {
+        console.log(`🔁 Replayed ${replayed} journal event(s) missing from the session store`);
+        store.withLock(() => saveData(data));
+    }
+    return data;
+}
+
+function createRotatingBackup(label) {
+    const backupPath = store.createBackup(label);
+    store.rotateBackups(config.get('data.maxBackups', 10));
+    return backupPath;
+}
+
+function backupBeforeDestructive(label) {
+    if (!config.get('data.backupEnabled', true)) return null;
+    return createRotatingBackup(label);
+}
+
+function runCleanup(options = {}) {
+    return updateData(data => {
+        // Sessions counted by the current billing cycle or today's ledger day stay in the live store
+        const now = new Date();
+        const ledger = getLedger();
+        const keepSince = new Date(Math.min(
+            BillingCycle.getCycle(now, config.get('limits.billingAnchorDay', 1)).start.getTime(),
+            ledger.getDayRange(ledger.getTodayKey(0, now)).start.getTime()
+        ));
+        const toArchive = Retention.selectForArchive(data.sessions, {
+            retentionDays: config.get('data.retentionDays', 365),
+            maxSessions: config.get('data.maxSessionsInMemory', 1000),
+            keepSince,
+            now
+        });
+        
+        if (options.dryRun || toArchive.length === 0) {
+            if (!options.dryRun) {
+                data.lastCleanup = new Date().toISOString();
+            }
+            return { sessions: toArchive, files: [], backup: null };
         }
         
-        // Migrate old session format
-        const workingDir = session.workingDirectory || process.cwd();
-        return {
-            id: session.id || generateUUID(),
-            startTime: session.startTime,
-            endTime: session.endTime,
-            duration: session.duration,
-            mode: 'claude-max', // Default for old sessions
-            workingDirectory: workingDir,
-            project: config.get('project.autoDetect', true) ? 
-                ProjectDetector.detectProject(workingDir) : {
-                    name: path.basename(workingDir),
-                    path: workingDir,
-                    type: 'unknown',
-                    git: null
-                },
-            tags: [],
-            warnings: {
-                '30min': false,
-                '10min': false
-            },
-            tokens: {
-                input: 0,
-                output: 0,
-                cacheCreate: 0,
-                cacheRead: 0
-            },
-            environment: session.environment || 'WSL',
-            claudeSessionId: session.claudeSessionId || null,
-            claudeCodeVersion: session.claudeCodeVersion || null
-        };
+        const backup = backupBeforeDestructive('pre-cleanup');
+        
+        // Archive files are written before the sessions leave the store
+        const files = Retention.archiveSessions(ARCHIVE_DIR, toArchive);
+        recordEvent(data, 'sessions_archived', null, {
+            sessionIds: toArchive.map(session => session.id),
+            archiveFiles: files
+        });
+        data.lastCleanup = new Date().toISOString();
+        
+        return { sessions: toArchive, files, backup };
+    });
+}
+
+function autoCleanup() {
+    if (!config.get('data.autoCleanup', true)) return;
+    
+    const data = loadData();
+    const lastCleanup = data.lastCleanup ? new Date(data.lastCleanup).getTime() : 0;
+    if (Date.now() - lastCleanup < 24 * 60 * 60 * 1000) return;
+    
+    const result = runCleanup();
+    if (result.sessions.length > 0) {
+        console.log(`🗄️  Archived ${result.sessions.length} sessions older than ${config.get('data.retentionDays', 365)} days`);
+    }
+}
+
+/**
+ * Sessions used against the monthly quota in the billing cycle containing a date
+ * @returns {Object} { start, end, used, quota, remaining, percent }
+ */
+function getMonthlyUsage(sessions, now = new Date()) {
+    return BillingCycle.getUsage(sessions, {
+        quota: config.get('limits.monthlySessions', 50),
+        anchorDay: config.get('limits.billingAnchorDay', 1),
+        now
+    });
+}
+
+/**
+ * Usage ledger with the configured time zone and day start hour
+ */
+function getLedger() {
+    const dayStartHour = config.get('ledger.dayStartHour', 0);
+    try {
+        return new UsageLedger({ timeZone: config.get('ledger.timeZone', 'local'), dayStartHour });
+    } catch (error) {
+        console.error(`⚠️  Invalid ledger.timeZone (${error.message}) - using the system time zone`);
+        return new UsageLedger({ timeZone: 'local', dayStartHour });
+    }
+}
+
+/**
+ * Wellbeing reminder settings from the configuration
+ */
+function getWellbeing() {
+    return new Wellbeing({
+        minBreak: config.get('wellbeing.minBreak', 5 * 60 * 1000),
+        eyeBreakEvery: config.get('wellbeing.eyeBreakEvery', 20 * 60 * 1000),
+        stretchEvery: config.get('wellbeing.stretchEvery', 60 * 60 * 1000),
+        stopForDayAfter: config.get('wellbeing.stopForDayAfter', 8 * 60 * 60 * 1000),
+        dailyCap: config.get('wellbeing.dailyCap', 10 * 60 * 60 * 1000)
+    });
+}
+
+/**
+ * Lifecycle hook commands from the configuration
+ */
+function getHookRunner() {
+    return new HookRunner({
+        hooks: config.get('hooks', {}),
+        timeout: config.get('hooks.timeout', 10 * 1000),
+        logFile: HOOKS_LOG_FILE
+    });
+}
+
+/**
+ * Load the enabled plugins; one that fails to load is reported and left out
+ */
+function loadPlugins() {
+    const manager = new PluginManager({
+        pluginDir: PLUGIN_DIR,
+        enabled: config.get('plugins.enabled', []),
+        api: {
+            config,
+            getSessions: () => loadData().sessions,
+            formatTime
+        }
     });
+    manager.load().forEach(failure =>
+        console.error(`⚠️  Plugin "${failure.name}" failed to load: ${failure.error}`));
+    return manager;
+}
+
+/**
+ * Tell plugins about a lifecycle event, and send it to webhooks and hooks in the background
+ * @param {string} event - Event name (see HookRunner.EVENTS)
+ * @param {Object} session - Session the event is about
+ * @param {Object} details - Extra fields for the hook's environment and webhook payloads
+ * @returns {Promise<Array>} Results of the hook commands that ran
+ */
+function emitEvent(event, session, details = {}) {
+    plugins.emit(event, session, details);
     
-    const migratedData = {
-        version: '2.0.0',
-        sessions: migratedSessions,
-        totalUsage: data.totalUsage || 0,
-        lastReset: data.lastReset || new Date().toISOString(),
-        monthlySessionCount: data.monthlySessionCount || 0,
-        lastMonthReset: data.lastMonthReset || new Date().toISOString(),
+    const webhooks = getWebhookNotifier();
+    if (webhooks.getEndpoints(event).length > 0) {
+        webhooks.dispatch(event, session, details).then(results => {
+            results.filter(result => !result.ok).forEach(result =>
+                console.error(`❌ Webhook ${result.endpoint} failed for ${event}: ${result.error}` +
+                    (result.queued ? ' - queued, sent once it answers again (or `notify flush`)' : '')));
+        }).catch(error => console.error(`❌ Webhooks failed for ${event}: ${error.message}`));
+    }
+    
+    const runner = getHookRunner();
+    if (runner.getCommands(event).length === 0) return Promise.resolve([]);
+    
+    return runner.run(event, session, details).then(results => {
+        results.filter(result => !result.ok).forEach(result =>
+            console.error(`❌ ${event} hook failed: ${result.command} - ${result.error} (logged to ${HOOKS_LOG_FILE})`));
+        return results;
+    }).catch(error => {
+        console.error(`❌ ${event} hooks failed: ${error.message}`);
+        return [];
+    });
+}
+
+/**
+ * Working time logged today, including the running part of active sessions
+ */
+function getTodayUsage(sessions, now = Date.now()) {
+    const ledger = getLedger();
+    return ledger.getDay(sessions, ledger.getTodayKey(0, new Date(now)), new Date(now)).totalMs;
+}
+
+function formatMonthlyUsage(usage) {
+    return `${usage.used}/${usage.quota} (cycle ends ${new Date(usage.end.getTime() - 1).toLocaleDateString()})`;
+}
+
+function recordEvent(data, type, sessionId, payload = {}) {
+    return journal.record(data, type, sessionId, payload);
+}
+
+function createEmptyData() {
+    return {
+        version: Migrations.getLatestVersion(),
+        sessions: [],
         autoDetection: {
             enabled: config.get('sessions.autoDetect', true),
             lastScan: null,
             activeSessions: []
-        }
+        },
+        imports: []
     };
-    
-    console.log(`✅ Migrated ${migratedSessions.length} sessions to new format`);
-    return migratedData;
 }
 
-function saveData(data) {
+function getLegacySearchDirs(extraDirs = []) {
+    const dirs = [...extraDirs, process.cwd()];
+    
+    // Every directory Claude Code has been run in is a candidate repo
+    const claudeProjectsDir = path.join(CLAUDE_CONFIG_DIR, 'projects');
     try {
-        data.lastUpdate = new Date().toISOString();
-        data.claudeCodeStatus = getClaudeCodeStatus();
-        fs.writeFileSync(SESSION_FILE, JSON.stringify(data, null, 2));
-    } catch (e) {
-        console.error('Error saving session data:', e);
+        if (fs.existsSync(claudeProjectsDir)) {
+            fs.readdirSync(claudeProjectsDir, { withFileTypes: true })
+                .filter(dirent => dirent.isDirectory())
+                .forEach(dirent => dirs.push(ClaudeAutoDetector.extractWorkingDirectory(dirent.name)));
+        }
+    } catch (error) {
+        console.error('Error reading Claude projects directory:', error.message);
     }
+    
+    return dirs;
 }
 
-function clearWarnings() {
-    warningTimeouts.forEach(timeout => clearTimeout(timeout));
-    warningTimeouts = [];
-}
-
-function scheduleWarnings(sessionStart) {
-    clearWarnings();
-    
-    const startTime = new Date(sessionStart).getTime();
-    const now = Date.now();
+function importLegacySessions(data, searchDirs) {
+    const result = { files: [], sessions: 0 };
+    const alreadyImported = new Set((data.imports || []).map(entry => entry.file));
+    const pending = [...searchDirs];
+    const visited = new Set();
     
-    const warning30Time = startTime + (MAX_SESSION_MS - WARNING_30_MIN);
-    const warning10Time = startTime + (MAX_SESSION_MS - WARNING_10_MIN);
-    const expiryTime = startTime + MAX_SESSION_MS;
-    
-    // 30-minute warning
-    const timeUntil30 = warning30Time - now;
-    if (timeUntil30 > 0) {
-        const timeout30 = setTimeout(() => {
-            console.log('\n🟠 [WSL] ⚠️  CLAUDE CODE SESSION WARNING ⚠️');
-            console.log('⏰ 30 MINUTES REMAINING in your Claude Code session!');
-            console.log('💡 Consider saving your work and preparing to refresh.');
-            console.log('🔄 Run `claude` to check if still authenticated');
-            console.log('📍 Check status: node scripts/session-tracker.js status\n');
+    while (pending.length > 0) {
+        const dir = pending.shift();
+        if (!dir || visited.has(path.resolve(dir))) continue;
+        visited.add(path.resolve(dir));
+        
+        for (const file of SessionStore.discoverLegacyFiles([dir])) {
+            if (alreadyImported.has(file) || file === store.getFilePath()) continue;
             
-            showWSLNotification(
-                'Claude Code Session Warning', 
-                '30 minutes remaining! Save your work and prepare to refresh.'
-            );
-        }, timeUntil30);
-        warningTimeouts.push(timeout30);
-    }
-    
-    // 10-minute warning
-    const timeUntil10 = warning10Time - now;
-    if (timeUntil10 > 0) {
-        const timeout10 = setTimeout(() => {
-            console.log('\n🔴 [WSL] 🚨 URGENT: CLAUDE CODE SESSION WARNING 🚨');
-            console.log('⏰ ONLY 10 MINUTES REMAINING!');
-            console.log('🚨 SAVE YOUR WORK NOW!');
-            console.log('🔄 Prepare to restart Claude Code session immediately!');
-            console.log('💡 Have your authentication ready for re-login\n');
+            const legacy = SessionStore.readLegacyFile(file);
+            if (!legacy) continue;
             
-            showWSLNotification(
-                'URGENT: Claude Code Session', 
-                'Only 10 minutes left! Save work NOW and prepare to re-authenticate!'
-            );
-        }, timeUntil10);
-        warningTimeouts.push(timeout10);
-    }
-    
-    // Expiry warning
-    const timeUntilExpiry = expiryTime - now;
-    if (timeUntilExpiry > 0) {
-        const timeoutExpiry = setTimeout(() => {
-            console.log('\n💀 [WSL] ⚠️  CLAUDE CODE SESSION EXPIRED ⚠️');
-            console.log('🕐 Your 5-hour session has ended!');
-            console.log('🔄 You must restart Claude Code and re-authenticate');
-            console.log('💡 Run: claude (and follow authentication prompts)');
-            console.log('📍 End this tracking session: node scripts/session-tracker.js end\n');
+            // Old files never recorded where they lived
+            const sourceDir = path.dirname(file);
+            legacy.sessions.forEach(session => {
+                if (!session.workingDirectory) {
+                    session.workingDirectory = sourceDir;
+                }
+            });
             
-            showWSLNotification(
-                'Claude Code Session EXPIRED', 
-                'Your 5-hour session has expired! Restart Claude Code and re-authenticate.'
-            );
-        }, timeUntilExpiry);
-        warningTimeouts.push(timeoutExpiry);
+            const migrated = migrateDataStructure(legacy, { sourceDir }).data;
+            const sessionCount = data.sessions.length;
+            recordEvent(data, 'sessions_imported', null, { file, sessions: migrated.sessions });
+            const added = data.sessions.length - sessionCount;
+            
+            data.imports = data.imports || [];
+            data.imports.push({ file, importedAt: new Date().toISOString(), sessions: added });
+            alreadyImported.add(file);
+            result.files.push(file);
+            result.sessions += added;
+            
+            // Sessions may point at further repos that also kept a local file
+            migrated.sessions.forEach(session => pending.push(SessionStore.getSessionProjectPath(session)));
+        }
     }
+    
+    return result;
 }
 
-function scheduleWarningsForMode(sessionStart, timerConfig) {
-    clearWarnings();
+function getMigrationContext(options = {}) {
+    return {
+        sourceDir: options.sourceDir || null,
+        detectProject: config.get('project.autoDetect', true) ?
+            (dir => ProjectDetector.detectProject(dir)) : null,
+        generateId: generateUUID,
+        autoDetect: config.get('sessions.autoDetect', true)
+    };
+}
+
+function migrateDataStructure(data, options = {}) {
+    return Migrations.migrate(data, getMigrationContext(options));
+}
+
+function upgradeStoreData(data) {
+    if (Migrations.getPending(data).length === 0) {
+        return data;
+    }
     
-    const startTime = new Date(sessionStart).getTime();
-    const now = Date.now();
-    const expiryTime = startTime + timerConfig.duration;
-    
-    // Schedule warnings based on timer configuration
-    timerConfig.warnings.forEach(warningTime => {
-        const warningTriggerTime = expiryTime - warningTime;
-        const timeUntilWarning = warningTriggerTime - now;
-        
-        if (timeUntilWarning > 0) {
-            const timeout = setTimeout(() => {
-                const remainingTime = formatTime(warningTime);
-                console.log(`\n🟡 [${timerConfig.name}] ⚠️  WARNING ⚠️`);
-                console.log(`⏰ ${remainingTime} remaining in your session!`);
-                console.log('💡 Consider saving your work and preparing for session end.');
-                
-                showWSLNotification(
-                    `${timerConfig.name} Session Warning`,
-                    `${remainingTime} remaining! Save your work.`
-                );
-            }, timeUntilWarning);
-            warningTimeouts.push(timeout);
+    return store.withLock(() => {
+        // Re-read under the lock in case another process already migrated
+        const current = store.read();
+        if (Migrations.getPending(current).length === 0) {
+            return current;
+        }
+        
+        const backupPath = createRotatingBackup(`pre-${Migrations.getLatestVersion()}`);
+        const result = migrateDataStructure(current);
+        console.log(`🔄 Migrating session data from v${result.fromVersion} to v${result.data.version}...`);
+        result.applied.forEach(migration => {
+            console.log(`  ✅ v${migration.version}: ${migration.description} (${migration.changes.length} change(s))`);
+        });
+        console.log(`💾 Backup of previous data: ${backupPath}`);
+        
+        // Migrated shapes are not reproducible from earlier events, so start a new replay base
+        if (result.data.journal) {
+            journal.writeSnapshot(result.data);
         }
+        saveData(result.data);
+        return result.data;
     });
-    
-    // Schedule session end if auto-end is enabled
-    if (timerConfig.autoEnd) {
-        const timeUntilEnd = expiryTime - now;
-        if (timeUntilEnd > 0) {
-            const endTimeout = setTimeout(() => {
-                console.log(`\n⏰ [${timerConfig.name}] Session automatically ended`);
-                console.log('🔄 Starting break period...');
-                
-                // Auto-end the session
-                end();
-                
-                // Show break notification
-                if (timerConfig.breakDuration) {
-                    showWSLNotification(
-                        `${timerConfig.name} Break Time`,
-                        `Take a ${formatTime(timerConfig.breakDuration)} break!`
-                    );
-                }
-            }, timeUntilEnd);
-            warningTimeouts.push(endTimeout);
+}
+
+/**
+ * Write the session store; a failed write throws so callers never report an unsaved change
+ */
+function saveData(data) {
+    data.lastUpdate = new Date().toISOString();
+    store.write(data);
+}
+
+/**
+ * Read-modify-write the session store under the store lock.
+ * The mutator receives the current data; it is only written back if changed.
+ */
+function updateData(mutator) {
+    return store.withLock(() => {
+        const data = loadData();
+        const before = JSON.stringify(data);
+        let result;
+        try {
+            result = mutator(data);
+        } catch (error) {
+            journal.discard();
+            throw error;
         }
-    } else {
-        // Schedule expiry warning for non-auto-end sessions
-        const timeUntilExpiry = expiryTime - now;
-        if (timeUntilExpiry > 0) {
-            const expiryTimeout = setTimeout(() => {
-                console.log(`\n💀 [${timerConfig.name}] ⚠️  SESSION EXPIRED ⚠️`);
-                console.log('🕐 Your session time has ended!');
-                console.log('🔄 Please end this session and start a new one if needed');
-                
-                showWSLNotification(
-                    `${timerConfig.name} Session EXPIRED`,
-                    'Your session time has ended! Please start a new session.'
-                );
-            }, timeUntilExpiry);
-            warningTimeouts.push(expiryTimeout);
+        
+        // Journal first: it is the source of truth if we crash before the store write
+        journal.flush(data);
+        if (JSON.stringify(data) !== before) {
+            saveData(data);
         }
+        return result;
+    });
+}
+
+function clearWarnings(sessionId = null) {
+    const sessionIds = sessionId ? [sessionId] : Array.from(warningTimeouts.keys());
+    sessionIds.forEach(id => {
+        (warningTimeouts.get(id) || []).forEach(timeout => clearTimeout(timeout));
+        warningTimeouts.delete(id);
+    });
+}
+
+function addWarningTimeout(sessionId, timeout) {
+    if (!warningTimeouts.has(sessionId)) {
+        warningTimeouts.set(sessionId, []);
     }
+    warningTimeouts.get(sessionId).push(timeout);
 }
 
-function start(mode = 'claude-max', customDuration = null, customTags = []) {
-    const now = new Date();
-    const data = loadData();
+/**
+ * The Claude usage window open right now, computed from Claude Code's logged message times
+ * Windows follow on from the last window start kept in the store, so only transcripts written
+ * since then are read; the lookback period is scanned until a window is known.
+ * @param {number} now - Reference time (ms)
+ * @param {Object} data - Session store data, if already loaded
+ * @returns {Object|null} { start, end, messageCount, lastMessage }, or null when no window is open
+ */
+function getUsageWindow(now = Date.now(), data = null) {
+    if (!config.get('sessions.usageWindow.enabled', true)) return null;
     
-    // Check Claude Code authentication status
-    const claudeStatus = getClaudeCodeStatus();
-    if (!claudeStatus.authenticated) {
-        console.log('⚠️  WARNING: Claude Code may not be authenticated!');
-        console.log('🔧 Make sure to run `claude` and authenticate before starting session tracking');
-        console.log('📍 Claude Code status:', claudeStatus.error || 'Not authenticated');
-        console.log('');
+    const known = Date.parse((data || loadData()).usageWindow?.start);
+    const anchor = known <= now ? new Date(known) : null;
+    const since = anchor || new Date(now - config.get('sessions.usageWindow.lookbackHours', 24) * 60 * 60 * 1000);
+    const windows = UsageWindow.computeWindows(ClaudeAutoDetector.collectTimestamps(since), MAX_SESSION_MS, anchor);
+    return UsageWindow.findWindowAt(windows, now);
+}
+
+/**
+ * Keep the start of the open usage window as the anchor later lookups follow on from
+ * Only commands that write the store anyway (start, end, recover, the daemon) call this.
+ * @param {Object} data - Session store data being updated
+ * @param {Object|null} usageWindow - Window from getUsageWindow
+ */
+function rememberUsageWindow(data, usageWindow) {
+    if (usageWindow && data.usageWindow?.start !== usageWindow.start.toISOString()) {
+        data.usageWindow = { start: usageWindow.start.toISOString() };
     }
-    
-    // Reset monthly count if needed
-    const lastMonthReset = new Date(data.lastMonthReset);
-    const daysSinceMonthReset = (now - lastMonthReset) / (1000 * 60 * 60 * 24);
-    if (daysSinceMonthReset >= 30) {
-        console.log('🔄 New month - resetting session counter');
-        data.monthlySessionCount = 0;
-        data.lastMonthReset = now.toISOString();
+}
+
+/**
+ * When a session's timer runs out
+ * Wall-clock modes follow the Claude usage window once Claude Code has logged a message.
+ */
+function getSessionExpiry(session, timerConfig, now = Date.now(), usageWindow = undefined) {
+    if (Pomodoro.isCycleMode(timerConfig) && session.pomodoro) {
+        const phaseEnd = Pomodoro.getPhaseEnd(session, timerConfig, now);
+        // Waiting for the next cycle counts as a long break before the session is considered abandoned
+        return phaseEnd !== null ? phaseEnd :
+            new Date(session.pomodoro.phaseStartedAt).getTime() + Pomodoro.getPhaseDuration('long-break', timerConfig);
     }
-    
-    // Check if we need to reset for a new day
-    const lastReset = new Date(data.lastReset);
-    if ((now - lastReset) / (1000 * 60 * 60 * 24) >= 1) {
-        console.log('🔄 New day - resetting daily usage counter');
-        data.totalUsage = 0;
-        data.lastReset = now.toISOString();
+    if (timerConfig.wallClock) {
+        const window = usageWindow === undefined ? getUsageWindow(now) : usageWindow;
+        if (window) return window.end.getTime();
     }
+    return SessionTime.getExpiryTime(session, timerConfig, now);
+}
+
+/**
+ * Gaps in a session's Claude Code activity up to a point in time
+ * @returns {Array} [{ start, end }] as Dates; empty when idle detection is off or there is no activity
+ */
+function findSessionIdle(session, until) {
+    if (!config.get('sessions.idle.enabled', true)) return [];
     
-    // Check if there's already an active session
-    const activeSessions = data.sessions.filter(s => !s.endTime);
-    if (activeSessions.length > 0) {
-        console.log('⚠️  Active session already exists!');
-        const activeSession = activeSessions[0];
-        const elapsed = now - new Date(activeSession.startTime);
-        console.log(`📊 Current session: ${formatTime(elapsed)} elapsed`);
+    return ClaudeAutoDetector.findIdleGaps({
+        claudeSessionId: session.claudeSessionId,
+        workingDirectory: session.project?.path || session.workingDirectory,
+        since: new Date(session.startTime),
+        until,
+        threshold: IDLE_THRESHOLD
+    });
+}
+
+/**
+ * Record idle gaps on a session, skipping ones it already has
+ * @param {Object} data - Session store data
+ * @param {Object} session - Session in data
+ * @param {Array} gaps - [{ start, end }]
+ * @returns {number} Idle milliseconds added
+ */
+function recordIdle(data, session, gaps) {
+    const sessionStart = new Date(session.startTime).getTime();
+    const sessionEnd = session.endTime ? new Date(session.endTime).getTime() : Infinity;
+    let added = 0;
+    
+    gaps.forEach(gap => {
+        const start = Math.max(new Date(gap.start).getTime(), sessionStart);
+        const end = Math.min(new Date(gap.end).getTime(), sessionEnd);
+        if (end <= start) return;
         
-        scheduleWarnings(activeSession.startTime);
-        return;
-    }
+        const known = (session.idle || []).some(idle =>
+            new Date(idle.start).getTime() < end && new Date(idle.end).getTime() > start);
+        if (known) return;
+        
+        recordEvent(data, 'idle_detected', session.id, {
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString()
+        });
+        added += end - start;
+    });
     
-    // Get timer mode configuration
-    const timerConfig = config.getTimerMode(mode);
+    return added;
+}
+
+function recordWarning(sessionId, warning, missed = false) {
+    if (!sessionId) return;
     
-    // Use custom duration if provided
-    if (customDuration && mode === 'custom') {
-        timerConfig.duration = customDuration * 60 * 1000; // Convert minutes to milliseconds
+    try {
+        updateData(data => {
+            recordEvent(data, 'warning_fired', sessionId, {
+                warning,
+                at: new Date().toISOString(),
+                ...(missed ? { missed: true } : {})
+            });
+        });
+    } catch (error) {
+        console.error('Error recording warning:', error.message);
     }
+}
+
+/**
+ * Persist a session's warning schedule and arm the warnings that have not fired yet
+ * Warnings that came due while no tracker was running are delivered now, in one summary.
+ * `snooze` pushes a warning back and `ack` ahead of time suppresses it; a critical
+ * warning repeats after it fires until it is acknowledged.
+ * @param {Object} session - Session object
+ * @param {Object} timerConfig - Timer mode configuration
+ * @param {Array} warnings - [{ key, dueAt, critical, deliver }] with dueAt in ms
+ */
+function armWarnings(session, timerConfig, warnings) {
+    const now = Date.now();
+    const sessionStart = new Date(session.startTime).getTime();
+    // A warning longer than the timer itself never comes due
+    const due = warnings.filter(warning => warning.dueAt >= sessionStart);
+    const toPlan = entry => ({ key: entry.key, dueAt: entry.dueAt, ...(entry.critical ? { critical: true } : {}) });
     
-    // Detect project information
-    const workingDirectory = process.cwd();
-    const project = config.get('project.autoDetect', true) ? 
-        ProjectDetector.detectProject(workingDirectory) : {
-            name: path.basename(workingDirectory),
-            path: workingDirectory,
-            type: 'unknown',
-            git: null
-        };
+    const schedule = updateData(data => {
+        const current = data.sessions.find(s => s.id === session.id);
+        if (!current) return [];
+        
+        const planned = due.map(warning => toPlan({ ...warning, dueAt: new Date(warning.dueAt).toISOString() }));
+        const schedule = current.warningSchedule || [];
+        const firedKeys = new Set(schedule.filter(entry => entry.firedAt).map(entry => entry.key));
+        const pending = schedule.filter(entry => !entry.firedAt && entry.dueAt).map(toPlan);
+        // Reschedules with nothing new (most store changes) leave the journal alone
+        if (JSON.stringify(planned.filter(entry => !firedKeys.has(entry.key))) !== JSON.stringify(pending)) {
+            recordEvent(data, 'warnings_scheduled', session.id, { warnings: planned });
+        }
+        return current.warningSchedule || [];
+    });
     
-    // Add custom tags
-    const validatedTags = ProjectDetector.validateTags(customTags);
+    let missed = [];
+    due.forEach(warning => {
+        const entry = schedule.find(e => e.key === warning.key) || {};
+        if (entry.firedAt) {
+            if (warning.critical && !entry.acknowledgedAt) {
+                armRepeat(session, timerConfig, warning, entry);
+            }
+            return;
+        }
+        if (entry.acknowledgedAt) return; // Acknowledged before it came due
+        
+        const at = Math.max(warning.dueAt, Date.parse(entry.snoozedUntil) || 0);
+        if (warning.check) {
+            // Conditions the clock cannot predict are checked from then on until they hold
+            const interval = config.get('warnings.checkInterval', 60 * 1000);
+            const check = () => {
+                if (warning.check()) {
+                    fireWarning(session, timerConfig, warning);
+                } else {
+                    addWarningTimeout(session.id, setTimeout(check, interval));
+                }
+            };
+            addWarningTimeout(session.id, setTimeout(check, Math.max(0, at - now)));
+        } else if (at > now) {
+            addWarningTimeout(session.id, setTimeout(() => fireWarning(session, timerConfig, warning), at - now));
+        } else {
+            missed.push(warning);
+        }
+    });
     
-    // Start new session
-    const sessionId = generateUUID();
-    const session = {
-        id: sessionId,
-        startTime: now.toISOString(),
-        endTime: null,
-        duration: null,
-        mode: mode,
-        workingDirectory: workingDirectory,
-        project: {
-            ...project,
+    // Actions such as the WIP snapshot are still worth doing late
+    missed.filter(warning => warning.runWhenMissed).forEach(warning => fireWarning(session, timerConfig, warning));
+    missed = missed.filter(warning => !warning.runWhenMissed);
+    
+    if (missed.length > 0) {
+        const summary = missed.map(warning =>
+            `${getWarningLabel(warning.key)} (due ${new Date(warning.dueAt).toLocaleTimeString()})`);
+        console.log(`\n📭 [${timerConfig.name}] Missed while offline: ${summary.join(', ')}`);
+        missed.forEach(warning => {
+            recordWarning(session.id, warning.key, true);
+            emitWarningHook(session, timerConfig, warning, { missed: true });
+        });
+        
+        showNotification(
+            `${timerConfig.name}: missed while offline`,
+            `${session.project?.name || 'Session'}: ${summary.join(', ')}`,
+            missed.some(warning => warning.critical) ? 'critical' : 'warning'
+        );
+        missed.filter(warning => warning.critical).forEach(warning =>
+            armRepeat(session, timerConfig, warning, { firedAt: new Date().toISOString() }));
+    }
+}
+
+/**
+ * Deliver a warning, record it, and keep repeating it if it is critical
+ */
+function fireWarning(session, timerConfig, warning) {
+    warning.deliver();
+    recordWarning(session.id, warning.key);
+    emitWarningHook(session, timerConfig, warning);
+    if (warning.critical) {
+        armRepeat(session, timerConfig, warning, { firedAt: new Date().toISOString() });
+    }
+}
+
+/**
+ * Run the `warning` hooks for a delivered warning, or the `expired` hooks for the expiry notice
+ * @param {Object} details - Extra hook fields, such as missed
+ */
+function emitWarningHook(session, timerConfig, warning, details = {}) {
+    if (!warning.severity) return; // Actions such as the WIP snapshot are not warnings
+    
+    const current = loadData().sessions.find(s => s.id === session.id) || session;
+    emitEvent(warning.key === 'expiry' ? 'expired' : 'warning', current, {
+        warning: warning.key,
+        severity: warning.severity,
+        remainingMs: Math.max(0, getSessionExpiry(current, timerConfig) - Date.now()),
+        ...details
+    });
+}
+
+/**
+ * Repeat a fired critical warning until it is acknowledged, sooner and more urgently each time
+ * @param {Object} session - Session object
+ * @param {Object} timerConfig - Timer mode configuration
+ * @param {Object} warning - Warning from the plan
+ * @param {Object} entry - Its schedule entry (firedAt, repeats, lastRepeatAt, snoozedUntil)
+ */
+function armRepeat(session, timerConfig, warning, entry) {
+    const gaps = config.get('notifications.escalation.repeatAfter', [5 * 60 * 1000, 2 * 60 * 1000, 60 * 1000]);
+    const repeat = (entry.repeats || 0) + 1;
+    if (repeat > gaps.length) return;
+    
+    const last = Date.parse(entry.lastRepeatAt || entry.firedAt);
+    const at = Math.max(last + gaps[repeat - 1], Date.parse(entry.snoozedUntil) || 0);
+    addWarningTimeout(session.id, setTimeout(() => {
+        const current = updateData(data => {
+            const active = data.sessions.find(s => s.id === session.id && !s.endTime);
+            const scheduled = active && (active.warningSchedule || []).find(e => e.key === warning.key);
+            if (!scheduled || scheduled.acknowledgedAt) return null;
+            
+            recordEvent(data, 'warning_repeated', session.id, { warning: warning.key, repeat, at: new Date().toISOString() });
+            return { session: active, entry: { ...scheduled } };
+        });
+        if (!current) return;
+        
+        const levels = ['🔔 REMINDER', '🚨 URGENT', '🚨🚨 FINAL REMINDER'];
+        const level = levels[repeat === gaps.length ? 2 : Math.min(repeat - 1, 1)];
+        const remaining = Math.max(0, getSessionExpiry(current.session, timerConfig) - Date.now());
+        const situation = remaining > 0 ? `${formatTime(remaining)} remaining` : 'session time is up';
+        console.log(`\n${level} [${timerConfig.name}] ${getWarningLabel(warning.key)} not acknowledged - ${situation}`);
+        console.log('💡 Run `ack` to stop these reminders, or `snooze [minutes]` to postpone them');
+        
+        showNotification(
+            `${level.replace(/^\S+ /, '')}: ${timerConfig.name} (${repeat}/${gaps.length})`,
+            `${current.session.project?.name || 'Session'}: ${situation}. Acknowledge with: ack`,
+            'critical'
+        );
+        armRepeat(current.session, timerConfig, warning, current.entry);
+    }, Math.max(0, at - Date.now())));
+}
+
+/**
+ * Human-readable name of a warning schedule key
+ */
+function getWarningLabel(key) {
+    if (key === 'wip-snapshot') return 'WIP snapshot';
+    return key === 'expiry' ? 'expiry' : `${key} warning`;
+}
+
+/**
+ * Turn warning rules into warnings for armWarnings
+ * Rules that only watch the session timer fire at a known time; the rest are checked
+ * from the earliest time the clock allows until they hold.
+ * @param {Object} session - Session object
+ * @param {Object} timerConfig - Timer mode configuration
+ * @param {Array} rules - Warning rules (see warning-rules.js)
+ * @param {Object} options - { keyPrefix, values, usageWindow }: keyPrefix goes in front of timer-only
+ *   rule keys (one set per pomodoro cycle); values fill extra message placeholders; usageWindow is
+ *   the window already looked up, if any
+ */
+function buildRuleWarnings(session, timerConfig, rules, options = {}) {
+    const data = loadData();
+    const context = getRuleContext(session, timerConfig, data.sessions, Date.now(), options.usageWindow);
+    const start = new Date(session.startTime).getTime();
+    
+    return rules
+        .filter(rule => WarningRules.appliesTo(rule, session))
+        .map(rule => {
+            const timerOnly = WarningRules.isTimerOnly(rule);
+            const dueAt = WarningRules.getDueAt(rule, context);
+            const warning = {
+                key: timerOnly ? `${options.keyPrefix || ''}${rule.id}` : rule.id,
+                // Usage that passed a limit before the session began is reported once it starts
+                dueAt: timerOnly ? dueAt : Math.max(dueAt, start),
+                critical: rule.severity === 'critical',
+                severity: rule.severity || 'warning',
+                deliver: () => deliverRuleWarning(session, timerConfig, rule, options.values)
+            };
+            if (!timerOnly) {
+                warning.check = () => {
+                    const latest = loadData();
+                    const current = latest.sessions.find(s => s.id === session.id && !s.endTime);
+                    return Boolean(current) && WarningRules.matches(rule, getRuleContext(current, timerConfig, latest.sessions));
+                };
+            }
+            return warning;
+        })
+        .filter(warning => Number.isFinite(warning.dueAt)); // Paused: re-armed on resume
+}
+
+/**
+ * Values warning rules are checked against
+ * Tokens are read from Claude Code's logs only when a rule asks for them.
+ * @returns {Object} { now, expiry, remaining, active, running, today, monthlyPercent, tokens }
+ */
+function getRuleContext(session, timerConfig, sessions, now = Date.now(), usageWindow = undefined) {
+    const expiry = getSessionExpiry(session, timerConfig, now, usageWindow);
+    return {
+        now,
+        expiry,
+        remaining: Math.max(0, expiry - now),
+        active: SessionTime.getActiveMs(session, now),
+        running: !SessionTime.isPaused(session) && !(session.pomodoro && Pomodoro.isBreak(session.pomodoro.phase)),
+        today: getTodayUsage(sessions, now),
+        monthlyPercent: getMonthlyUsage(sessions, new Date(now)).percent,
+        get tokens() {
+            return ExportUtils.calculateTotalTokens(getSessionUsage(session).tokens);
+        }
+    };
+}
+
+/**
+ * Carry out a warning rule's actions
+ * @param {Object} values - Extra message placeholders
+ */
+function deliverRuleWarning(session, timerConfig, rule, values = {}) {
+    const data = loadData();
+    const current = data.sessions.find(s => s.id === session.id) || session;
+    const context = getRuleContext(current, timerConfig, data.sessions);
+    
+    const placeholders = {
+        project: current.project?.name || 'Unknown',
+        mode: timerConfig.name,
+        remaining: formatTime(context.remaining),
+        elapsed: formatTime(context.active),
+        today: formatTime(context.today),
+        monthly: `${Math.round(context.monthlyPercent)}%`,
+        ...values
+    };
+    Object.entries(rule.when || {}).forEach(([name, limit]) => {
+        placeholders[name] = ['tokensAbove', 'monthlyPercentAbove'].includes(name) ? limit.toLocaleString() : formatTime(limit);
+    });
+    if (rule.message && rule.message.includes('{tokens}')) {
+        placeholders.tokens = context.tokens.toLocaleString();
+    }
+    // Warnings about the time running out say what is still uncommitted
+    const changes = rule.when && rule.when.remainingBelow !== undefined && config.get('warnings.context.enabled', true) ?
+        describeUncommittedChanges(current) : null;
+    placeholders.changes = changes || 'no uncommitted changes';
+    
+    const title = rule.title || rule.id;
+    const message = WarningRules.formatMessage(rule.message || `Warning rule "${rule.id}" matched`, placeholders);
+    const actions = rule.actions || ['console', 'notification'];
+    const icons = { info: 'ℹ️ ', warning: '🟡', critical: '🔴' };
+    
+    if (actions.includes('console')) {
+        console.log(`\n${icons[rule.severity] || icons.warning} [${timerConfig.name}] ${title}`);
+        console.log(`⏰ ${message}`);
+        if (changes) {
+            console.log(`📝 ${changes}`);
+        }
+    }
+    if (actions.includes('notification')) {
+        showNotification(`${timerConfig.name} ${title}`, changes ? `${message}\n${changes}` : message, rule.severity);
+    }
+    if (actions.includes('hook')) {
+        runRuleHook(rule, current, message);
+    }
+}
+
+/**
+ * Summary of the uncommitted files in a session's project, read from git now
+ * @returns {string|null} null when the project is not a git repository or has nothing uncommitted
+ */
+function describeUncommittedChanges(session) {
+    const directory = session.project?.path || session.workingDirectory;
+    const files = ProjectDetector.getUncommittedFiles(directory);
+    if (!files || files.length === 0) return null;
+    
+    const summary = ProjectDetector.summarizeChanges(files, config.get('warnings.context.maxFiles', 5));
+    const git = ProjectDetector.getGitInfo(directory);
+    return git && git.branch !== 'unknown' ? `${summary} on ${git.branch}` : summary;
+}
+
+/**
+ * Save a session's uncommitted work to the WIP snapshot ref (see ProjectDetector.createWipSnapshot)
+ */
+function saveWipSnapshot(session, timerConfig) {
+    const directory = session.project?.path || session.workingDirectory;
+    try {
+        const snapshot = ProjectDetector.createWipSnapshot(directory, {
+            ref: config.get('warnings.wipSnapshot.ref', 'refs/wip/session-tracker'),
+            message: `WIP snapshot before ${timerConfig.name} session ends\n\n` +
+                `Project: ${session.project?.name || 'Unknown'}\nSession: ${session.id}`
+        });
+        if (!snapshot) {
+            console.log(`\n💾 [${timerConfig.name}] Nothing uncommitted - no WIP snapshot needed`);
+            return;
+        }
+        
+        updateData(data => {
+            recordEvent(data, 'wip_snapshot', session.id, { ...snapshot, at: new Date().toISOString() });
+        });
+        console.log(`\n💾 [${timerConfig.name}] Saved ${snapshot.files} changed file${snapshot.files === 1 ? '' : 's'} ` +
+            `to ${snapshot.ref} (${snapshot.commit.substring(0, 8)}) - your working tree is untouched`);
+        console.log(`💡 Inspect it with: git show --stat ${snapshot.ref}`);
+    } catch (error) {
+        console.log(`\n⚠️  [${timerConfig.name}] Could not save a WIP snapshot of ${directory}: ${error.message.split('\n')[0]}`);
+    }
+}
+
+/**
+ * Run a warning rule's hook command with the session JSON on stdin
+ */
+function runRuleHook(rule, session, message) {
+    getHookRunner().runCommand(rule.command, {
+        event: `warning rule ${rule.id}`,
+        input: JSON.stringify(session),
+        timeout: config.get('warnings.hookTimeout', 10 * 1000),
+        env: {
+            CLAUDE_TRACKER_RULE: rule.id,
+            CLAUDE_TRACKER_SEVERITY: rule.severity || 'warning',
+            CLAUDE_TRACKER_SESSION_ID: session.id,
+            CLAUDE_TRACKER_PROJECT: session.project?.name || '',
+            CLAUDE_TRACKER_MESSAGE: message
+        }
+    }).then(result => {
+        if (!result.ok) {
+            console.error(`❌ Hook for warning rule "${rule.id}" failed: ${result.error}`);
+        }
+    }).catch(error => console.error(`❌ Hook for warning rule "${rule.id}" failed: ${error.message}`));
+}
+
+/**
+ * Arm a session's warnings and auto-end for its timer mode
+ * @param {Object} usageWindow - Usage window already looked up (default: looked up here)
+ * @returns {number|null} When the session expires
+ */
+function scheduleWarningsForMode(session, timerConfig, usageWindow = undefined) {
+    if (Pomodoro.isCycleMode(timerConfig) && session.pomodoro) {
+        return schedulePomodoro(session, timerConfig);
+    }
+    
+    const sessionId = session.id;
+    clearWarnings(sessionId);
+
+    const now = Date.now();
+    
+    // A paused local timer is frozen; it is re-armed on resume with the pause added on
+    if (SessionTime.isPaused(session) && !timerConfig.wallClock) {
+        return null;
+    }
+    const window = usageWindow === undefined && timerConfig.wallClock ? getUsageWindow(now) : usageWindow;
+    const expiryTime = getSessionExpiry(session, timerConfig, now, window);
+    
+    // The mode's warning times (and the expiry notice) plus the configured rules; they
+    // survive restarts through the session's warning schedule
+    const rules = WarningRules.fromTimerMode(timerConfig, {
+        criticalWithin: config.get('notifications.escalation.criticalWithin', 10 * 60 * 1000),
+        expiry: !timerConfig.autoEnd
+    }).concat(config.get('warnings.rules', []));
+    const warnings = buildRuleWarnings(session, timerConfig, rules, { usageWindow: window });
+    
+    // Opt-in: keep uncommitted work safe on a git ref shortly before the time runs out
+    if (config.get('warnings.wipSnapshot.enabled', false)) {
+        warnings.push({
+            key: 'wip-snapshot',
+            dueAt: expiryTime - config.get('warnings.wipSnapshot.before', 5 * 60 * 1000),
+            runWhenMissed: true,
+            deliver: () => saveWipSnapshot(session, timerConfig)
+        });
+    }
+    armWarnings(session, timerConfig, warnings);
+    
+    // Schedule session end if auto-end is enabled
+    if (timerConfig.autoEnd) {
+        const timeUntilEnd = expiryTime - now;
+        if (timeUntilEnd > 0) {
+            const endTimeout = setTimeout(() => {
+                console.log(`\n⏰ [${timerConfig.name}] Session automatically ended`);
+                console.log('🔄 Starting break period...');
+                
+                emitEvent('expired', loadData().sessions.find(s => s.id === sessionId) || session, {
+                    warning: 'expiry',
+                    severity: 'critical',
+                    remainingMs: 0
+                });
+                // Auto-end the session
+                end(sessionId, 'timer');
+                
+                // Show break notification
+                if (timerConfig.breakDuration) {
+                    showNotification(
+                        `${timerConfig.name} Break Time`,
+                        `Take a ${formatTime(timerConfig.breakDuration)} break!`,
+                        'info'
+                    );
+                }
+            }, timeUntilEnd);
+            addWarningTimeout(sessionId, endTimeout);
+        }
+    }
+    
+    return expiryTime;
+}
+
+/**
+ * Arm the timers for the current pomodoro phase
+ * A phase that ended while no tracker was running is advanced straight away.
+ * @returns {number|null} When the current phase ends
+ */
+function schedulePomodoro(session, timerConfig) {
+    const sessionId = session.id;
+    clearWarnings(sessionId);
+    
+    const state = session.pomodoro;
+    const now = Date.now();
+    
+    // A paused work period is frozen; it is re-armed on resume
+    if (state.phase === 'work' && SessionTime.isPaused(session)) {
+        return null;
+    }
+    const phaseEnd = Pomodoro.getPhaseEnd(session, timerConfig, now);
+    if (phaseEnd === null) {
+        return null; // Waiting for `pomodoro next`
+    }
+    
+    if (state.phase === 'work') {
+        const rules = WarningRules.fromTimerMode(timerConfig)
+            .map(rule => ({ ...rule, title: 'Warning', message: `{remainingBelow} left in work cycle ${state.cycle}` }))
+            .concat(config.get('warnings.rules', []));
+        armWarnings(session, timerConfig, buildRuleWarnings(session, timerConfig, rules, { keyPrefix: `cycle${state.cycle}-` }));
+    }
+    
+    const phaseTimeout = setTimeout(() => {
+        advancePomodoro(sessionId, timerConfig, new Date(Math.min(phaseEnd, Date.now())));
+    }, Math.max(0, phaseEnd - now));
+    addWarningTimeout(sessionId, phaseTimeout);
+    
+    return phaseEnd;
+}
+
+/**
+ * Move a pomodoro session on to its next phase
+ * @param {string} sessionId - Tracker session id
+ * @param {Object} timerConfig - Timer mode configuration
+ * @param {Date} at - When the current phase finished
+ * @returns {Object|null} { session, pomodoro }, or null if the session is no longer running
+ */
+function advancePomodoro(sessionId, timerConfig, at = new Date()) {
+    const result = updateData(data => {
+        const session = data.sessions.find(s => s.id === sessionId && !s.endTime);
+        if (!session || !session.pomodoro) return null;
+        
+        const pomodoro = Pomodoro.advance(session.pomodoro, timerConfig, at);
+        recordEvent(data, 'pomodoro_phase', session.id, { pomodoro });
+        return { session, pomodoro };
+    });
+    
+    // The session watcher announces the new phase and re-arms its timers
+    return result;
+}
+
+/**
+ * Tell the user a new pomodoro phase has begun
+ */
+function announcePomodoroPhase(session, timerConfig) {
+    const state = session.pomodoro;
+    const duration = Pomodoro.getPhaseDuration(state.phase, timerConfig);
+    let title;
+    let message;
+    
+    switch (state.phase) {
+        case 'work':
+            title = `${timerConfig.name}: cycle ${state.cycle}`;
+            message = `Focus for ${formatTime(duration)}`;
+            console.log(`\n🍅 [${timerConfig.name}] Work cycle ${state.cycle} started - focus for ${formatTime(duration)}`);
+            break;
+        case 'short-break':
+        case 'long-break':
+            title = `${timerConfig.name} Break Time`;
+            message = `Cycle ${state.cycle} done! Take a ${formatTime(duration)} ${state.phase === 'long-break' ? 'long ' : ''}break`;
+            console.log(`\n☕ [${timerConfig.name}] ${message} (${state.completedCycles} cycles completed)`);
+            break;
+        default:
+            title = `${timerConfig.name}: break over`;
+            message = `Start cycle ${state.cycle + 1} with: pomodoro next`;
+            console.log(`\n⏰ [${timerConfig.name}] Break over - start cycle ${state.cycle + 1} with: node scripts/session-tracker.js pomodoro next`);
+            break;
+    }
+    
+    showNotification(title, message, 'info');
+}
+
+function start(mode = 'claude-max', customDuration = null, customTags = []) {
+    const now = new Date();
+    
+    autoCleanup();
+    
+    // Close sessions left behind by trackers that died
+    if (config.get('sessions.recovery.checkOnStart', true)) {
+        recoverSessions({ policy: config.get('sessions.recovery.policy', 'prompt'), quiet: true });
+    }
+    
+    // Check Claude Code authentication status
+    const claudeStatus = getClaudeCodeStatus();
+    if (!claudeStatus.authenticated) {
+        console.log('⚠️  WARNING: Claude Code may not be authenticated!');
+        console.log('🔧 Make sure to run `claude` and authenticate before starting session tracking');
+        console.log('📍 Claude Code status:', claudeStatus.error || 'Not authenticated');
+        console.log('');
+    }
+    
+    // Warn before another session goes on top of a long day
+    let dailyCap = null;
+    if (config.get('wellbeing.enabled', true)) {
+        const wellbeing = getWellbeing();
+        const today = getTodayUsage(loadData().sessions, now.getTime());
+        if (wellbeing.isOverCap(today)) {
+            dailyCap = { usedMs: today, capMs: wellbeing.dailyCap };
+            console.log(`🛑 Daily cap reached: ${formatTime(today)} worked today (cap ${formatTime(wellbeing.dailyCap)})`);
+            console.log('💡 Consider stopping for the day - starting the session anyway');
+            console.log('');
+            showNotification(
+                'Daily cap reached',
+                `${formatTime(today)} worked today - consider stopping for the day`,
+                'warning'
+            );
+        }
+    }
+    
+    // Get timer mode configuration
+    const timerConfig = config.getTimerMode(mode);
+    
+    // Use custom duration if provided
+    if (customDuration && mode === 'custom') {
+        timerConfig.duration = customDuration * 60 * 1000; // Convert minutes to milliseconds
+    }
+    
+    // Detect project information
+    const workingDirectory = process.cwd();
+    const project = config.get('project.autoDetect', true) ? 
+        ProjectDetector.detectProject(workingDirectory) : {
+            name: path.basename(workingDirectory),
+            path: workingDirectory,
+            type: 'unknown',
+            git: null
+        };
+    
+    // Add custom tags
+    const validatedTags = ProjectDetector.validateTags(customTags);
+    
+    // Start new session
+    const sessionId = generateUUID();
+    const session = {
+        id: sessionId,
+        startTime: now.toISOString(),
+        endTime: null,
+        duration: null,
+        mode: mode,
+        workingDirectory: workingDirectory,
+        project: {
+            ...project,
             tags: validatedTags
         },
         tags: validatedTags,
@@ -483,20 +1315,59 @@ function start(mode = 'claude-max', customDuration = null, customTags = []) {
         environment: 'WSL',
         claudeSessionId: null, // Will be filled by auto-detection
         claudeCodeVersion: claudeStatus.version || 'Unknown',
-        timerConfig: timerConfig
+        timerConfig: timerConfig,
+        owner: SessionRecovery.getOwner() // This process keeps the session's timers
     };
+    if (Pomodoro.isCycleMode(timerConfig)) {
+        session.pomodoro = Pomodoro.createState(now);
+    }
+    const usageWindow = getUsageWindow(now.getTime());
     
-    // Increment monthly session count
-    data.monthlySessionCount = (data.monthlySessionCount || 0) + 1;
+    const result = updateData(data => {
+        rememberUsageWindow(data, usageWindow);
+        
+        // Only one open session per project; other projects may run side by side
+        const existing = data.sessions.find(s => !s.endTime &&
+            path.resolve(s.project?.path || s.workingDirectory || '') === path.resolve(project.path));
+        if (existing) {
+            // A session whose tracker exited is taken over by this one
+            if (SessionRecovery.isOwnerAlive(existing) !== true) {
+                recordEvent(data, 'session_updated', existing.id, {
+                    changes: { owner: SessionRecovery.getOwner() },
+                    action: 'adopt'
+                });
+                return { existing, adopted: true };
+            }
+            return { existing };
+        }
+        
+        recordEvent(data, 'session_started', session.id, { session, source: 'manual' });
+        return { monthly: getMonthlyUsage(data.sessions, now) };
+    });
     
-    data.sessions.push(session);
-    saveData(data);
+    if (result.existing) {
+        console.log(`⚠️  Active session already exists for ${result.existing.project?.name || project.name}!`);
+        const elapsed = now - new Date(result.existing.startTime);
+        console.log(`📊 Current session: ${formatTime(elapsed)} elapsed`);
+        
+        if (result.adopted) {
+            const existingConfig = result.existing.timerConfig || config.getTimerMode(result.existing.mode);
+            console.log('🔁 Its tracker is no longer running - this process now keeps its timers');
+            scheduleWarningsForMode(result.existing, existingConfig, usageWindow);
+            watchSession(result.existing.id, existingConfig);
+            return;
+        }
+        // Its own tracker keeps delivering its warnings
+        console.log(`🔁 Its timers are kept by tracker process ${result.existing.owner?.pid || 'elsewhere'}`);
+        return;
+    }
+    const { monthly } = result;
     
     console.log(`✅ [WSL] ${timerConfig.name} session started!`);
     console.log(`🆔 Session ID: ${sessionId}`);
     console.log(`🕐 Start time: ${now.toLocaleString()}`);
     console.log(`⏰ Duration: ${formatTime(timerConfig.duration)}`);
-    console.log(`⏰ Will expire at: ${new Date(now.getTime() + timerConfig.duration).toLocaleString()}`);
+    console.log(`⏰ Will expire at: ${new Date(getSessionExpiry(session, timerConfig, now.getTime(), usageWindow)).toLocaleString()}`);
     console.log(`📁 Working directory: ${workingDirectory}`);
     console.log(`🏗️  Project: ${project.name} (${project.type})`);
     if (project.git) {
@@ -505,118 +1376,587 @@ function start(mode = 'claude-max', customDuration = null, customTags = []) {
     if (validatedTags.length > 0) {
         console.log(`🏷️  Tags: ${validatedTags.join(', ')}`);
     }
-    console.log(`📊 Monthly sessions used: ${data.monthlySessionCount}/50`);
+    console.log(`📊 Monthly sessions used: ${formatMonthlyUsage(monthly)}`);
     console.log(`🔧 Claude Code authenticated: ${claudeStatus.authenticated ? '✅' : '❌'}`);
     if (timerConfig.warnings.length > 0) {
         const warningTimes = timerConfig.warnings.map(w => formatTime(w)).join(', ');
         console.log(`⚠️  Warnings scheduled at: ${warningTimes} before expiry`);
     }
-    console.log(`📱 Windows notifications enabled`);
+    const warningRules = config.get('warnings.rules', []).filter(rule => WarningRules.appliesTo(rule, session));
+    if (warningRules.length > 0) {
+        console.log(`📏 Warning rules: ${warningRules.map(rule => rule.id).join(', ')}`);
+    }
+    if (session.pomodoro) {
+        console.log(`🍅 Cycle 1: ${formatTime(timerConfig.duration)} work, then ${formatTime(timerConfig.breakDuration)} break ` +
+            `(${formatTime(Pomodoro.getPhaseDuration('long-break', timerConfig))} after every ${timerConfig.longBreakAfter || 4} cycles)`);
+    }
+    console.log(`📱 Notifications: ${getNotifier().getRoute('warning').join(' → ')}`);
     
-    scheduleWarningsForMode(session.startTime, timerConfig);
+    scheduleWarningsForMode(session, timerConfig, usageWindow);
+    watchSession(session.id, timerConfig);
+    emitEvent('session_start', session, { source: 'manual' });
     
     // Show monthly limit warning if approaching limit
-    if (data.monthlySessionCount >= 45) {
+    if (monthly.percent >= config.get('limits.warnPercent', 90)) {
         console.log('\n🚨 WARNING: Approaching monthly session limit!');
-        console.log(`📊 You've used ${data.monthlySessionCount}/50 sessions this month`);
-        showWSLNotification(
+        console.log(`📊 You've used ${monthly.used}/${monthly.quota} sessions this billing cycle`);
+        showNotification(
             'Claude Code Session Limit Warning',
-            `You've used ${data.monthlySessionCount}/50 sessions this month`
+            `You've used ${monthly.used}/${monthly.quota} sessions this billing cycle`
         );
+        emitEvent('limit_approaching', session, {
+            limit: 'monthly',
+            percent: monthly.percent,
+            used: monthly.used,
+            quota: monthly.quota
+        });
+    }
+    if (dailyCap) {
+        emitEvent('limit_approaching', session, { limit: 'daily', ...dailyCap });
     }
 }
 
-function end() {
-    const data = loadData();
-    const activeSessions = data.sessions.filter(s => !s.endTime);
+function end(target = null, reason = 'manual') {
+    const usageWindow = getUsageWindow();
+    const result = updateData(data => {
+        rememberUsageWindow(data, usageWindow);
+        let session;
+        try {
+            session = SessionEditor.findActiveSession(data.sessions, target, process.cwd());
+        } catch (error) {
+            return { error: error.message };
+        }
+        
+        const now = new Date();
+        const idleAdded = recordIdle(data, session, findSessionIdle(session, now));
+        const duration = SessionTime.getActiveMs(session, now.getTime());
+        
+        recordEvent(data, 'session_ended', session.id, {
+            endTime: now.toISOString(),
+            duration,
+            reason
+        });
+        
+        return {
+            session,
+            duration,
+            idleAdded,
+            todayUsage: getTodayUsage(data.sessions),
+            monthly: getMonthlyUsage(data.sessions)
+        };
+    });
     
-    if (activeSessions.length === 0) {
-        console.log('❌ No active session found');
+    if (result.error) {
+        console.log(`❌ ${result.error}`);
         return;
     }
     
-    const session = activeSessions[0];
-    const now = new Date();
-    const duration = now - new Date(session.startTime);
-    
-    session.endTime = now.toISOString();
-    session.duration = duration;
-    data.totalUsage += duration;
-    
-    saveData(data);
-    clearWarnings();
+    clearWarnings(result.session.id);
+    emitEvent('session_end', result.session, { reason });
     
-    console.log('✅ [WSL] Session ended');
-    console.log(`⏱️  Duration: ${formatTime(duration)}`);
-    console.log(`📊 Total usage today: ${formatTime(data.totalUsage)}`);
-    console.log(`📊 Monthly sessions used: ${data.monthlySessionCount}/50`);
+    console.log(`✅ [WSL] Session ended: ${result.session.project?.name || 'Unknown'}`);
+    console.log(`⏱️  Duration: ${formatTime(result.duration)}` +
+        ` (wall clock ${formatTime(new Date(result.session.endTime) - new Date(result.session.startTime))})`);
+    if (result.idleAdded > 0) {
+        console.log(`💤 Idle gaps in Claude Code activity: ${formatTime(result.idleAdded)} (not counted)`);
+    }
+    console.log(`📊 Total usage today: ${formatTime(result.todayUsage)}`);
+    console.log(`📊 Monthly sessions used: ${formatMonthlyUsage(result.monthly)}`);
 }
 
-function status() {
-    const data = loadData();
-    const activeSessions = data.sessions.filter(s => !s.endTime);
-    const claudeStatus = getClaudeCodeStatus();
-    
-    console.log('\n📊 [WSL] CLAUDE CODE SESSION STATUS');
-    console.log('='.repeat(45));
-    
-    if (activeSessions.length === 0) {
-        console.log('❌ No active session');
-        console.log(`📈 Total usage today: ${formatTime(data.totalUsage)}`);
-        console.log(`📊 Monthly sessions: ${data.monthlySessionCount || 0}/50`);
-        console.log(`🔧 Claude Code status: ${claudeStatus.authenticated ? '✅ Authenticated' : '❌ Not authenticated'}`);
-        if (claudeStatus.version) {
-            console.log(`📦 Claude Code version: ${claudeStatus.version}`);
+function pause(target = null) {
+    const result = updateData(data => {
+        let session;
+        try {
+            session = SessionEditor.findActiveSession(data.sessions, target, process.cwd());
+        } catch (error) {
+            return { error: `❌ ${error.message}` };
         }
+        if (SessionTime.isPaused(session)) return { error: '⏸️  Session is already paused' };
+        
+        recordEvent(data, 'session_paused', session.id, { at: new Date().toISOString() });
+        return { session };
+    });
+    
+    if (result.error) {
+        console.log(result.error);
         return;
     }
     
-    const session = activeSessions[0];
-    const now = Date.now();
-    const startTime = new Date(session.startTime).getTime();
-    const elapsed = now - startTime;
-    const remaining = Math.max(0, MAX_SESSION_MS - elapsed);
-    
-    console.log(`🆔 Session: ${session.id}`);
-    console.log(`🕐 Started: ${new Date(session.startTime).toLocaleString()}`);
-    console.log(`⏱️  Elapsed: ${formatTime(elapsed)}`);
-    console.log(`⏰ Remaining: ${formatTime(remaining)}`);
-    console.log(`📈 Total today: ${formatTime(data.totalUsage + elapsed)}`);
-    console.log(`📊 Monthly sessions: ${data.monthlySessionCount || 0}/50`);
-    console.log(`📁 Working dir: ${session.workingDirectory || 'Unknown'}`);
-    console.log(`🔧 Claude Code: ${claudeStatus.authenticated ? '✅ Authenticated' : '❌ Not authenticated'}`);
-    
-    // Status indicators
-    if (remaining <= 0) {
-        console.log('🔴 STATUS: EXPIRED - Restart Claude Code!');
-    } else if (remaining <= WARNING_10_MIN) {
-        console.log('🔴 STATUS: CRITICAL - Less than 10 minutes!');
-    } else if (remaining <= WARNING_30_MIN) {
-        console.log('🟡 STATUS: WARNING - Less than 30 minutes!');
-    } else {
-        console.log('🟢 STATUS: ACTIVE');
+    const timerConfig = result.session.timerConfig || config.getTimerMode(result.session.mode);
+    console.log('⏸️  [WSL] Session paused');
+    console.log(`⏱️  Active so far: ${formatTime(SessionTime.getActiveMs(result.session))}`);
+    if (timerConfig.wallClock) {
+        console.log(`⚠️  ${timerConfig.name} expiry is wall-clock and keeps running while paused`);
     }
-    
-    console.log('='.repeat(45) + '\n');
+    console.log('▶️  Resume with: node scripts/session-tracker.js resume');
 }
 
-function checkClaudeCode() {
-    const claudeStatus = getClaudeCodeStatus();
-    const isAuthenticated = isClaudeCodeAuthenticated();
-    
-    console.log('\n🔍 CLAUDE CODE DIAGNOSTIC');
-    console.log('='.repeat(30));
-    console.log(`📁 Config directory: ${CLAUDE_CONFIG_DIR}`);
-    console.log(`📁 Config exists: ${fs.existsSync(CLAUDE_CONFIG_DIR) ? '✅' : '❌'}`);
-    console.log(`🔐 Authentication files: ${isAuthenticated ? '✅' : '❌'}`);
-    console.log(`🔧 CLI accessible: ${claudeStatus.authenticated ? '✅' : '❌'}`);
+function resume(target = null) {
+    const result = updateData(data => {
+        let session;
+        try {
+            session = SessionEditor.findActiveSession(data.sessions, target, process.cwd());
+        } catch (error) {
+            return { error: `❌ ${error.message}` };
+        }
+        if (!SessionTime.isPaused(session)) return { error: '▶️  Session is not paused' };
+        if (session.pomodoro && Pomodoro.isBreak(session.pomodoro.phase)) {
+            return { error: '☕ On a pomodoro break - start the next work cycle with: node scripts/session-tracker.js pomodoro next' };
+        }
+        
+        recordEvent(data, 'session_resumed', session.id, { at: new Date().toISOString() });
+        return { session };
+    });
     
-    if (claudeStatus.version) {
-        console.log(`📦 Version: ${claudeStatus.version}`);
+    if (result.error) {
+        console.log(result.error);
+        return;
     }
     
-    if (claudeStatus.error) {
-        console.log(`❌ Error: ${claudeStatus.error}`);
+    const { session } = result;
+    const timerConfig = session.timerConfig || config.getTimerMode(session.mode);
+    const lastPause = session.pauses[session.pauses.length - 1];
+    console.log('▶️  [WSL] Session resumed');
+    console.log(`⏸️  Paused for: ${formatTime(new Date(lastPause.end) - new Date(lastPause.start))}`);
+    console.log(`⏰ Expires at: ${new Date(SessionTime.getExpiryTime(session, timerConfig)).toLocaleString()}`);
+}
+
+/**
+ * Follow the store from the process that owns a session's timers, so that
+ * pause/resume/end run from another shell reschedule or cancel them here.
+ */
+function watchSession(sessionId, timerConfig) {
+    unwatchSession(sessionId);
+    
+    let lastPauses = null;
+    let lastPomodoro = null;
+    let lastControls = null;
+    const storeFile = store.getFilePath();
+    const readSession = () => {
+        try {
+            return store.read().sessions.find(s => s.id === sessionId) || null;
+        } catch (error) {
+            return undefined; // Mid-write or unreadable; the next change will catch up
+        }
+    };
+    const onChange = () => {
+        const session = readSession();
+        if (session === undefined) return;
+        
+        if (!session || session.endTime) {
+            clearWarnings(sessionId);
+            unwatchSession(sessionId);
+            return;
+        }
+        
+        const pauses = JSON.stringify(session.pauses || []);
+        const pomodoro = JSON.stringify(session.pomodoro || null);
+        const controls = JSON.stringify((session.warningSchedule || [])
+            .filter(entry => entry.snoozedUntil || entry.acknowledgedAt)
+            .map(entry => [entry.key, entry.snoozedUntil, entry.acknowledgedAt]));
+        if (lastPauses !== null && pomodoro !== lastPomodoro) {
+            announcePomodoroPhase(session, timerConfig);
+            scheduleWarningsForMode(session, timerConfig);
+        } else if (lastPauses !== null && pauses !== lastPauses) {
+            if (SessionTime.isPaused(session)) {
+                console.log(`\n⏸️  [${timerConfig.name}] Session paused - timers on hold`);
+            } else {
+                console.log(`\n▶️  [${timerConfig.name}] Session resumed - timers rescheduled`);
+            }
+            scheduleWarningsForMode(session, timerConfig);
+        } else if (lastControls !== null && controls !== lastControls) {
+            console.log(`\n🔕 [${timerConfig.name}] Warning snoozed or acknowledged - timers rescheduled`);
+            scheduleWarningsForMode(session, timerConfig);
+        }
+        lastPauses = pauses;
+        lastPomodoro = pomodoro;
+        lastControls = controls;
+    };
+    
+    // Follow the Claude usage window as Claude Code logs messages
+    let windowTimer = null;
+    if (timerConfig.wallClock) {
+        let lastExpiry = null;
+        const onWindowCheck = () => {
+            const session = readSession();
+            if (!session || session.endTime) return;
+            
+            const usageWindow = getUsageWindow();
+            const expiry = getSessionExpiry(session, timerConfig, Date.now(), usageWindow);
+            if (lastExpiry !== null && expiry !== lastExpiry) {
+                if (usageWindow) {
+                    console.log(`\n🪟 [${timerConfig.name}] Usage window opened ${usageWindow.start.toLocaleTimeString()} - ` +
+                        `resets ${usageWindow.end.toLocaleTimeString()}, warnings rescheduled`);
+                }
+                scheduleWarningsForMode(session, timerConfig, usageWindow);
+            }
+            lastExpiry = expiry;
+        };
+        onWindowCheck();
+        windowTimer = setInterval(onWindowCheck, config.get('sessions.usageWindow.refreshInterval', 60000));
+    }
+    
+    onChange();
+    fs.watchFile(storeFile, { interval: 1000 }, onChange);
+    sessionWatchers.set(sessionId, { file: storeFile, listener: onChange, windowTimer });
+}
+
+function unwatchSession(sessionId = null) {
+    const sessionIds = sessionId ? [sessionId] : Array.from(sessionWatchers.keys());
+    sessionIds.forEach(id => {
+        const watcher = sessionWatchers.get(id);
+        if (watcher) {
+            fs.unwatchFile(watcher.file, watcher.listener);
+            if (watcher.windowTimer) {
+                clearInterval(watcher.windowTimer);
+            }
+            sessionWatchers.delete(id);
+        }
+    });
+}
+
+function status(target = null) {
+    const data = loadData();
+    let activeSessions = data.sessions.filter(s => !s.endTime);
+    const claudeStatus = getClaudeCodeStatus();
+    
+    if (target) {
+        try {
+            activeSessions = [SessionEditor.findActiveSession(data.sessions, target, process.cwd())];
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return;
+        }
+    }
+    
+    const now = Date.now();
+    const usageWindow = getUsageWindow(now, data);
+    
+    console.log('\n📊 [WSL] CLAUDE CODE SESSION STATUS');
+    console.log('='.repeat(45));
+    if (usageWindow) {
+        console.log(`🪟 Usage window: opened ${usageWindow.start.toLocaleTimeString()} (first message), ` +
+            `resets ${usageWindow.end.toLocaleTimeString()} (${formatTime(usageWindow.end.getTime() - now)} left)`);
+    } else {
+        console.log(`🪟 No usage window open - the next Claude Code message starts a ${formatTime(MAX_SESSION_MS)} window`);
+    }
+    
+    if (activeSessions.length === 0) {
+        console.log('❌ No active session');
+        console.log(`📈 Total usage today: ${formatTime(getTodayUsage(data.sessions, now))}`);
+        console.log(`📊 Monthly sessions: ${formatMonthlyUsage(getMonthlyUsage(data.sessions))}`);
+        console.log(`🔧 Claude Code status: ${claudeStatus.authenticated ? '✅ Authenticated' : '❌ Not authenticated'}`);
+        if (claudeStatus.version) {
+            console.log(`📦 Claude Code version: ${claudeStatus.version}`);
+        }
+        return;
+    }
+    
+    if (activeSessions.length > 1) {
+        console.log(`🗂️  ${activeSessions.length} active sessions`);
+    }
+    activeSessions.forEach((session, index) => {
+        if (index > 0) {
+            console.log('-'.repeat(45));
+        }
+        printSessionStatus(session, now, usageWindow);
+    });
+    
+    console.log('-'.repeat(45));
+    console.log(`📈 Total today: ${formatTime(getTodayUsage(data.sessions, now))}`);
+    console.log(`📊 Monthly sessions: ${formatMonthlyUsage(getMonthlyUsage(data.sessions))}`);
+    console.log(`🔧 Claude Code: ${claudeStatus.authenticated ? '✅ Authenticated' : '❌ Not authenticated'}`);
+    console.log('='.repeat(45) + '\n');
+}
+
+function printSessionStatus(session, now, usageWindow) {
+    const startTime = new Date(session.startTime).getTime();
+    const elapsed = now - startTime;
+    // Include gaps not recorded yet (they are recorded when the session ends)
+    const withIdle = { ...session, idle: [...(session.idle || []), ...findSessionIdle(session, new Date(now))] };
+    const active = SessionTime.getActiveMs(withIdle, now);
+    const idle = SessionTime.getIdleMs(withIdle, now);
+    const timerConfig = session.timerConfig || config.getTimerMode(session.mode);
+    const remaining = Math.max(0, getSessionExpiry(session, timerConfig, now, usageWindow) - now);
+    
+    console.log(`🆔 Session: ${session.id}`);
+    console.log(`🏗️  Project: ${session.project?.name || 'Unknown'}`);
+    console.log(`🕐 Started: ${new Date(session.startTime).toLocaleString()}`);
+    console.log(`⏱️  Elapsed (wall clock): ${formatTime(elapsed)}`);
+    if (active !== elapsed) {
+        console.log(`💼 Active (excluding pauses and idle): ${formatTime(active)}`);
+    }
+    if (idle > 0) {
+        console.log(`💤 Idle (no Claude Code activity for ${formatTime(IDLE_THRESHOLD)}+): ${formatTime(idle)}`);
+    }
+    if (session.pomodoro) {
+        console.log(`🍅 Pomodoro: ${Pomodoro.getPhaseName(session.pomodoro.phase)} - cycle ${session.pomodoro.cycle} ` +
+            `(${session.pomodoro.completedCycles} completed)`);
+    }
+    if (session.pomodoro && session.pomodoro.phase === 'waiting') {
+        console.log('⏰ Remaining: waiting - start the next cycle with `pomodoro next`');
+    } else {
+        console.log(`⏰ Remaining${session.pomodoro ? ' in phase' : ''}: ${formatTime(remaining)}` +
+            `${timerConfig.wallClock && !usageWindow ? ' (from start - no Claude Code messages yet)' : ''}`);
+    }
+    console.log(`📁 Working dir: ${session.workingDirectory || 'Unknown'}`);
+    if (session.claudeSessionId) {
+        console.log(`🔗 Claude session: ${session.claudeSessionId}`);
+    }
+    
+    const controls = getWarningControls(session);
+    if (controls.outstanding.length > 0) {
+        console.log(`🔔 Not acknowledged: ${controls.outstanding.map(entry => getWarningLabel(entry.key)).join(', ')} - run \`ack\``);
+    }
+    if (controls.next && controls.next.snoozedUntil) {
+        console.log(`😴 Next warning (${getWarningLabel(controls.next.key)}) snoozed until ${new Date(controls.next.at).toLocaleTimeString()}`);
+    }
+    
+    // Status indicators
+    const state = getSessionState(session, timerConfig, remaining);
+    switch (state.state) {
+        case 'break':
+            console.log(`☕ STATUS: ${Pomodoro.getPhaseName(session.pomodoro.phase).toUpperCase()}`);
+            break;
+        case 'paused':
+            const pausedAt = session.pauses[session.pauses.length - 1].start;
+            console.log(`⏸️  STATUS: PAUSED since ${new Date(pausedAt).toLocaleTimeString()}`);
+            break;
+        case 'expired':
+            console.log('🔴 STATUS: EXPIRED - Restart Claude Code!');
+            break;
+        case 'critical':
+            console.log(`🔴 STATUS: CRITICAL - Less than ${formatTime(state.threshold)}!`);
+            break;
+        case 'warning':
+            console.log(`🟡 STATUS: WARNING - Less than ${formatTime(state.threshold)}!`);
+            break;
+        default:
+            console.log('🟢 STATUS: ACTIVE');
+            break;
+    }
+}
+
+/**
+ * Where a session stands against its own timer
+ * The warning levels come from the timer mode's warnings (the two closest to expiry).
+ * @returns {Object} { state, threshold } with state break, paused, expired, critical, warning or active
+ */
+function getSessionState(session, timerConfig, remaining) {
+    if (session.pomodoro && Pomodoro.isBreak(session.pomodoro.phase)) return { state: 'break' };
+    if (SessionTime.isPaused(session)) return { state: 'paused' };
+    if (remaining <= 0) return { state: 'expired' };
+    
+    const warnings = (timerConfig.warnings && timerConfig.warnings.length > 0 ?
+        timerConfig.warnings : [WARNING_30_MIN, WARNING_10_MIN]).slice().sort((a, b) => a - b);
+    if (remaining <= warnings[0]) return { state: 'critical', threshold: warnings[0] };
+    if (warnings.length > 1 && remaining <= warnings[1]) return { state: 'warning', threshold: warnings[1] };
+    return { state: 'active' };
+}
+
+/**
+ * Live dashboard of active sessions, redrawn in place until Ctrl+C
+ * When stdout is not a terminal it prints a plain status line per session instead.
+ * @param {string|null} target - Session id, project name or path (defaults to every active session)
+ * @param {Object} options - { interval, once }
+ */
+function watchSessions(target = null, options = {}) {
+    const dashboard = new Dashboard({
+        barWidth: config.get('dashboard.barWidth', 30),
+        color: config.get('notifications.console.colors', true)
+    });
+    const interval = options.interval || (dashboard.interactive ?
+        config.get('dashboard.refreshInterval', 1000) : config.get('dashboard.plainInterval', 60 * 1000));
+    const usageRefresh = config.get('dashboard.usageRefreshInterval', 5000);
+    let usage = { at: 0, window: null, sessions: new Map() };
+    
+    const render = () => {
+        const now = Date.now();
+        const data = loadData();
+        let sessions = data.sessions.filter(s => !s.endTime);
+        let error = null;
+        if (target) {
+            try {
+                sessions = [SessionEditor.findActiveSession(data.sessions, target, process.cwd())];
+            } catch (findError) {
+                sessions = [];
+                error = findError.message;
+            }
+        }
+        
+        // Reading Claude Code's logs is the slow part, so it runs less often than the redraw
+        const known = sessions.every(session => usage.sessions.has(session.id));
+        if (now - usage.at >= usageRefresh || !known) {
+            usage = {
+                at: now,
+                window: getUsageWindow(now, data),
+                sessions: new Map(sessions.map(session => [session.id, getSessionUsage(session)]))
+            };
+        }
+        
+        const views = sessions.map(session => getWatchView(session, now, usage));
+        const footer = {
+            today: getTodayUsage(data.sessions, now),
+            monthly: getMonthlyUsage(data.sessions, new Date(now))
+        };
+        
+        if (dashboard.interactive || options.once) {
+            dashboard.draw(renderWatchFrame(dashboard, views, footer, { now, error, usageWindow: usage.window }));
+        } else {
+            dashboard.draw(renderWatchLines(views, footer, { now, error }));
+        }
+    };
+    
+    render();
+    if (options.once) return;
+    
+    const timer = setInterval(render, interval);
+    const stop = () => {
+        clearInterval(timer);
+        dashboard.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    // The reader went away (e.g. piped into head)
+    process.stdout.on('error', stop);
+}
+
+/**
+ * Token usage for a session from Claude Code's logs, falling back to what the session has recorded
+ */
+function getSessionUsage(session) {
+    const logged = ClaudeAutoDetector.collectUsage({
+        claudeSessionId: session.claudeSessionId,
+        workingDirectory: session.project?.path || session.workingDirectory,
+        since: new Date(session.startTime)
+    });
+    if (logged.samples.length > 0) return logged;
+    return {
+        tokens: session.tokens || { input: 0, output: 0, cacheCreate: 0, cacheRead: 0 },
+        samples: []
+    };
+}
+
+/**
+ * Everything the dashboard shows for one session, measured against its own timer
+ */
+function getWatchView(session, now, usage) {
+    const timerConfig = session.timerConfig || config.getTimerMode(session.mode);
+    const remaining = Math.max(0, getSessionExpiry(session, timerConfig, now, usage.window) - now);
+    const waiting = Boolean(session.pomodoro && session.pomodoro.phase === 'waiting');
+    
+    // Length of the timer the bar fills up: the pomodoro phase, the usage window or the mode's duration
+    let timerMs = timerConfig.duration;
+    if (session.pomodoro) {
+        timerMs = Pomodoro.getPhaseDuration(session.pomodoro.phase, timerConfig);
+    } else if (timerConfig.wallClock && usage.window) {
+        timerMs = MAX_SESSION_MS;
+    }
+    
+    const sessionUsage = usage.sessions.get(session.id) || getSessionUsage(session);
+    const tokens = sessionUsage.tokens;
+    
+    return {
+        session,
+        timerConfig,
+        remaining,
+        waiting,
+        progress: waiting || !timerMs ? null : 1 - remaining / timerMs,
+        state: getSessionState(session, timerConfig, remaining).state,
+        elapsed: now - new Date(session.startTime).getTime(),
+        active: SessionTime.getActiveMs(session, now),
+        tokens,
+        totalTokens: ExportUtils.calculateTotalTokens(tokens),
+        burnRate: Dashboard.getBurnRate(sessionUsage.samples, now, config.get('dashboard.burnRateWindow', 10 * 60 * 1000))
+    };
+}
+
+function renderWatchFrame(dashboard, views, footer, context) {
+    const lines = [];
+    const quotaColor = footer.monthly.used >= footer.monthly.quota ? 'red' :
+        footer.monthly.percent >= config.get('limits.warnPercent', 90) ? 'yellow' : null;
+    
+    lines.push(dashboard.paint('📊 [WSL] CLAUDE CODE SESSION WATCH', 'bold') +
+        `  ${new Date(context.now).toLocaleTimeString()}`);
+    lines.push('='.repeat(45));
+    
+    if (context.error) {
+        lines.push(`❌ ${context.error}`);
+    } else if (views.length === 0) {
+        lines.push('❌ No active session - waiting for one to start');
+    }
+    
+    views.forEach((view, index) => {
+        const { session, timerConfig } = view;
+        if (index > 0) {
+            lines.push('-'.repeat(45));
+        }
+        
+        let heading = `🏗️  ${session.project?.name || 'Unknown'} (${session.id.substring(0, 8)}) - ${timerConfig.name || session.mode}`;
+        if (session.pomodoro) {
+            heading += ` - 🍅 ${Pomodoro.getPhaseName(session.pomodoro.phase)}, cycle ${session.pomodoro.cycle}`;
+        }
+        lines.push(heading);
+        
+        const left = view.waiting ? 'waiting - run `pomodoro next`' : `${formatTime(view.remaining)} left`;
+        const percent = view.progress === null ? '' : ` ${Math.round(Math.min(1, Math.max(0, view.progress)) * 100)}%`;
+        lines.push(`${dashboard.progressBar(view.progress, view.state)}${percent}  ${left}`);
+        lines.push(`${dashboard.stateLabel(view.state)}  ⏱️  ${formatTime(view.elapsed)} elapsed  💼 ${formatTime(view.active)} active`);
+        lines.push(`🔢 Tokens: ${view.totalTokens.toLocaleString()} ` +
+            `(in ${view.tokens.input.toLocaleString()} / out ${view.tokens.output.toLocaleString()} / ` +
+            `cache ${(view.tokens.cacheCreate + view.tokens.cacheRead).toLocaleString()})  ` +
+            `🔥 ${Math.round(view.burnRate).toLocaleString()}/min`);
+    });
+    
+    lines.push('='.repeat(45));
+    if (context.usageWindow) {
+        lines.push(`🪟 Usage window resets ${context.usageWindow.end.toLocaleTimeString()}`);
+    }
+    const monthly = formatMonthlyUsage(footer.monthly);
+    lines.push(`📈 Today: ${formatTime(footer.today)}  📊 Monthly: ${quotaColor ? dashboard.paint(monthly, quotaColor) : monthly}`);
+    if (dashboard.interactive) {
+        lines.push(dashboard.paint('Ctrl+C to quit', 'gray'));
+    }
+    return lines;
+}
+
+/**
+ * One plain line per session, for logs and pipes
+ */
+function renderWatchLines(views, footer, context) {
+    const time = new Date(context.now).toLocaleTimeString();
+    const totals = `today ${formatTime(footer.today)}, monthly ${footer.monthly.used}/${footer.monthly.quota}`;
+    
+    if (context.error || views.length === 0) {
+        return [`[${time}] ${context.error || 'No active session'} - ${totals}`];
+    }
+    return views.map(view => {
+        const left = view.waiting ? 'waiting' : `${formatTime(view.remaining)} left`;
+        const percent = view.progress === null ? '' : ` (${Math.round(Math.min(1, Math.max(0, view.progress)) * 100)}%)`;
+        return `[${time}] ${view.session.project?.name || 'Unknown'} ${view.state.toUpperCase()} ${left}${percent}, ` +
+            `${view.totalTokens.toLocaleString()} tokens at ${Math.round(view.burnRate).toLocaleString()}/min - ${totals}`;
+    });
+}
+
+function checkClaudeCode() {
+    const claudeStatus = getClaudeCodeStatus();
+    const isAuthenticated = isClaudeCodeAuthenticated();
+    
+    console.log('\n🔍 CLAUDE CODE DIAGNOSTIC');
+    console.log('='.repeat(30));
+    console.log(`📁 Config directory: ${CLAUDE_CONFIG_DIR}`);
+    console.log(`📁 Config exists: ${fs.existsSync(CLAUDE_CONFIG_DIR) ? '✅' : '❌'}`);
+    console.log(`🔐 Authentication files: ${isAuthenticated ? '✅' : '❌'}`);
+    console.log(`🔧 CLI accessible: ${claudeStatus.authenticated ? '✅' : '❌'}`);
+    
+    if (claudeStatus.version) {
+        console.log(`📦 Version: ${claudeStatus.version}`);
+    }
+    
+    if (claudeStatus.error) {
+        console.log(`❌ Error: ${claudeStatus.error}`);
     }
     
     if (fs.existsSync(CLAUDE_CONFIG_DIR)) {
@@ -637,7 +1977,7 @@ const args = process.argv.slice(3);
 
 // Parse command-line arguments
 function parseArgs(args) {
-    const parsed = { flags: [], options: {} };
+    const parsed = { flags: [], options: {}, positional: [] };
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
         if (arg.startsWith('--')) {
@@ -648,6 +1988,8 @@ function parseArgs(args) {
             } else {
                 parsed.flags.push(key);
             }
+        } else {
+            parsed.positional.push(arg);
         }
     }
     return parsed;
@@ -655,18 +1997,26 @@ function parseArgs(args) {
 
 const parsedArgs = parseArgs(args);
 
+// JavaScript plugins from PLUGIN_DIR (`plugin enable NAME`); loaded once the rest of the
+// module is set up, since activate may already read sessions
+const plugins = loadPlugins();
+
 switch (command) {
     case 'start':
-        const mode = parsedArgs.options.mode || 'claude-max';
-        const duration = parsedArgs.options.duration ? parseInt(parsedArgs.options.duration) : null;
-        const tags = parsedArgs.options.tags ? parsedArgs.options.tags.split(',') : [];
-        start(mode, duration, tags);
-        break;
     case 'end':
-        end();
-        break;
+    case 'pause':
+    case 'resume':
     case 'status':
-        status();
+        runClientCommand(command, parsedArgs);
+        break;
+    case 'daemon':
+        handleDaemonCommand(parsedArgs.positional[0]);
+        break;
+    case 'watch':
+        watchSessions(parsedArgs.positional[0], {
+            interval: parsedArgs.options.interval ? parseInt(parsedArgs.options.interval) : null,
+            once: parsedArgs.flags.includes('once')
+        });
         break;
     case 'check':
     case 'diagnostic':
@@ -676,7 +2026,64 @@ switch (command) {
         const format = parsedArgs.options.format || 'json';
         const output = parsedArgs.options.output || `./claude-sessions-${Date.now()}`;
         const dateRange = parsedArgs.options.range;
-        exportSessions(format, output, dateRange);
+        exportSessions(format, output, dateRange, parsedArgs.options.project, parsedArgs.flags.includes('include-archived'));
+        break;
+    case 'session':
+        handleSessionCommand(args[0], parsedArgs.positional.slice(1), parsedArgs);
+        break;
+    case 'cleanup':
+        cleanupCommand(parsedArgs.flags.includes('dry-run'));
+        break;
+    case 'backup':
+        handleBackupCommand(args[0], args.slice(1));
+        break;
+    case 'migrate':
+        migrateCommand(parsedArgs.flags.includes('dry-run'));
+        break;
+    case 'journal':
+        handleJournalCommand(args[0], parsedArgs);
+        break;
+    case 'import':
+        importCommand(args.filter(arg => !arg.startsWith('--')));
+        break;
+    case 'today':
+        showDay('today');
+        break;
+    case 'day':
+        showDay(parsedArgs.positional[0]);
+        break;
+    case 'pomodoro':
+        handlePomodoroCommand(parsedArgs.positional[0], parsedArgs.positional[1]);
+        break;
+    case 'wellbeing':
+        showWellbeing();
+        break;
+    case 'snooze':
+        // `snooze 10`, `snooze my-project` and `snooze 10 my-project` all work
+        const snoozeMinutes = /^\d+(\.\d+)?$/.test(parsedArgs.positional[0] || '') ? parsedArgs.positional.shift() : null;
+        snoozeWarning(parsedArgs.positional[0], snoozeMinutes);
+        break;
+    case 'ack':
+        acknowledgeWarnings(parsedArgs.positional[0]);
+        break;
+    case 'quota':
+        handleQuotaCommand(parsedArgs.positional[0], parsedArgs);
+        break;
+    case 'hooks':
+        handleHooksCommand(parsedArgs.positional[0], parsedArgs.positional[1]);
+        break;
+    case 'plugin':
+        handlePluginCommand(parsedArgs.positional[0], parsedArgs.positional[1]);
+        break;
+    case 'notify':
+        handleNotifyCommand(parsedArgs.positional[0], parsedArgs.positional[1], parsedArgs.options);
+        break;
+    case 'recover':
+        recoverSessions({
+            target: parsedArgs.positional[0],
+            policy: parsedArgs.options.policy,
+            dryRun: parsedArgs.flags.includes('dry-run')
+        });
         break;
     case 'auto':
         startAutoDetection();
@@ -690,7 +2097,11 @@ switch (command) {
         handleProjectCommand(projectAction, args.slice(1));
         break;
     default:
-        showHelp();
+        if (plugins.getCommand(command)) {
+            runPluginCommand(command, args, parsedArgs);
+        } else {
+            showHelp();
+        }
         break;
 }
 
@@ -704,24 +2115,106 @@ function showHelp() {
     console.log('        Start tracking a new session');
     console.log('        Modes: claude-max, pomodoro, deep-work, quick-fix, custom');
     console.log('');
-    console.log('  end   End the current session');
+    console.log('  end [TARGET]');
+    console.log('        End a session');
+    console.log('');
+    console.log('  pause [TARGET] / resume [TARGET]');
+    console.log('        Hold a session (paused time is not counted as work)');
+    console.log('');
+    console.log('  status [TARGET]');
+    console.log('        Show every active session, or just the one targeted');
+    console.log('        TARGET: session id, project name or path (default: the session for the current directory)');
+    console.log('');
+    console.log('  daemon [start|stop|status|run]');
+    console.log('        Background daemon that keeps every session\'s timers and runs auto-detection');
+    console.log('        While it runs, start/end/pause/resume/status are handled by it (add --no-daemon to run them here)');
     console.log('');
-    console.log('  status');
-    console.log('        Show current session status');
+    console.log('  watch [TARGET] [--interval MS] [--once]');
+    console.log('        Live dashboard: timer progress, tokens and burn rate, today and monthly usage (Ctrl+C to quit)');
+    console.log('        Prints a plain line per session every dashboard.plainInterval when not on a terminal');
     console.log('');
-    console.log('  export --format FORMAT --output PATH [--range DAYS]');
-    console.log('        Export sessions (formats: csv, json, markdown, all)');
+    console.log('  export --format FORMAT --output PATH [--range DAYS] [--project PATH] [--include-archived]');
+    console.log(`        Export sessions (formats: ${['csv', 'json', 'markdown', 'all', ...ExportUtils.getCustomFormats()].join(', ')})`);
+    console.log('');
+    console.log('  journal [show|rebuild] [--session ID] [--limit N] [--full] [--dry-run]');
+    console.log('        Inspect the event journal or rebuild session state by replaying it');
+    console.log('');
+    console.log('  session list [--all] [--limit N] [--project PATH]');
+    console.log('  session show|delete ID');
+    console.log('  session edit ID [--start TIME] [--end TIME] [--duration MINUTES] [--mode MODE] [--tags TAG1,TAG2]');
+    console.log('  session split ID --at TIME');
+    console.log('  session merge ID1 ID2');
+    console.log('        Inspect and correct recorded sessions (ids may be shortened)');
+    console.log('        TIME: ISO date, HH:MM on the session day, or offset like +2h / -15m');
+    console.log('');
+    console.log('  cleanup [--dry-run]');
+    console.log('        Archive sessions older than data.retentionDays into yearly .json.gz files');
+    console.log('');
+    console.log('  backup [list|create|restore NAME]');
+    console.log('        Manage rotating backups of the session store');
+    console.log('');
+    console.log('  migrate [--dry-run]');
+    console.log('        Upgrade the session data file (a backup is written first)');
+    console.log('');
+    console.log('  pomodoro [status|next] [TARGET]');
+    console.log('        Current pomodoro phase and cycle, or move on to the next phase now');
+    console.log('');
+    console.log('  wellbeing');
+    console.log('        Continuous work, time worked today, and when the next break reminders are due');
+    console.log('');
+    console.log('  snooze [MINUTES] [TARGET]');
+    console.log('        Postpone the next warning (or the reminders for an unacknowledged one)');
+    console.log('        MINUTES defaults to notifications.escalation.snoozeMinutes');
+    console.log('');
+    console.log('  ack [TARGET]');
+    console.log('        Acknowledge fired warnings, which stops their reminders, or suppress the next one');
+    console.log('');
+    console.log('  hooks [list|test EVENT]');
+    console.log('        Show the configured lifecycle hooks, or run the ones for EVENT now with sample data');
+    console.log(`        Events: ${HookRunner.EVENTS.join(', ')}`);
+    console.log('');
+    console.log('  notify [list|test [SEVERITY] [--url URL] [--format FORMAT]|flush]');
+    console.log('        Show the notification backends and webhooks, send a test notification through them,');
+    console.log('        or resend webhook payloads queued while an endpoint was unreachable');
+    console.log(`        --url posts the test to that webhook only (formats: ${WebhookNotifier.FORMATS.join(', ')})`);
+    console.log('');
+    console.log('  plugin [list|enable NAME|disable NAME]');
+    console.log(`        JavaScript plugins in ${PLUGIN_DIR}`);
+    console.log('');
+    console.log('  today');
+    console.log('  day DATE');
+    console.log('        Usage ledger for a day, split at local midnight (DATE: YYYY-MM-DD, yesterday or -N)');
+    console.log('        Configure with ledger.timeZone and ledger.dayStartHour');
+    console.log('');
+    console.log('  quota [history] [--cycles N]');
+    console.log('        Monthly session quota for the current billing cycle, or past cycles');
+    console.log('        Configure with limits.monthlySessions and limits.billingAnchorDay');
+    console.log('');
+    console.log('  recover [SESSION] [--policy expiry|last-activity|now] [--dry-run]');
+    console.log('        Close sessions whose tracker process exited or whose timer ran out');
+    console.log('        Without --policy, sessions.recovery.policy decides (prompt asks for each one)');
+    console.log('');
+    console.log('  import [DIR...]');
+    console.log('        Merge legacy .claude-sessions.json files into the global store');
     console.log('');
     console.log('  auto  Start auto-detection of Claude Code sessions');
     console.log('');
     console.log('  config [list|set|reset] [KEY VALUE]');
     console.log('        Manage configuration');
     console.log('');
-    console.log('  project [detect|info] [PATH]');
+    console.log('  project [detect|info|sessions] [PATH]');
     console.log('        Project detection utilities');
     console.log('');
     console.log('  check Diagnostic check of Claude Code installation');
     console.log('');
+    if (plugins.getCommands().length > 0) {
+        console.log('Plugin commands:');
+        plugins.getCommands().forEach(pluginCommand => {
+            console.log(`  ${pluginCommand.usage}`);
+            console.log(`        ${pluginCommand.description || '(no description)'} [${pluginCommand.plugin}]`);
+        });
+        console.log('');
+    }
     console.log('Examples:');
     console.log('  node scripts/session-tracker.js start --mode pomodoro');
     console.log('  node scripts/session-tracker.js start --mode custom --duration 45');
@@ -730,10 +2223,21 @@ function showHelp() {
 }
 
 // New command handlers
-function exportSessions(format, outputPath, dateRange) {
+function exportSessions(format, outputPath, dateRange, projectPath, includeArchived = false) {
     const data = loadData();
     let sessions = data.sessions;
     
+    if (includeArchived) {
+        const liveIds = new Set(sessions.map(session => session.id));
+        const archived = Retention.loadArchivedSessions(ARCHIVE_DIR).filter(session => !liveIds.has(session.id));
+        sessions = archived.concat(sessions);
+    }
+    
+    // Limit to one project if requested
+    if (projectPath) {
+        sessions = SessionStore.filterByProjectPath(sessions, projectPath);
+    }
+    
     // Filter by date range if specified
     if (dateRange) {
         const days = parseInt(dateRange);
@@ -764,112 +2268,1208 @@ function exportSessions(format, outputPath, dateRange) {
                     result = ExportUtils.exportToMarkdown(sessions, `${outputPath}.md`);
                     break;
                 default:
-                    console.error('❌ Unknown format:', format);
+                    if (!ExportUtils.getCustomFormats().includes(format)) {
+                        console.error('❌ Unknown format:', format);
+                        return;
+                    }
+                    result = ExportUtils.exportToFormat(format, sessions, outputPath);
+            }
+            console.log(`✅ Export completed: ${result}`);
+        }
+    } catch (error) {
+        console.error('❌ Export failed:', error.message);
+    }
+}
+
+function startAutoDetection() {
+    if (!createAutoDetector()) return;
+    startWellbeingReminders();
+    
+    // Keep process alive
+    process.on('SIGINT', () => {
+        console.log('\\n🛑 Auto-detection stopped');
+        if (autoDetector) {
+            autoDetector.stopMonitoring();
+        }
+        process.exit(0);
+    });
+    
+    console.log('✅ Auto-detection started - Press Ctrl+C to stop');
+    setInterval(() => {}, 1000);
+}
+
+/**
+ * Start monitoring Claude Code's session files and tracking what it finds
+ * @returns {ClaudeAutoDetector|null} The running detector, or null when auto-detection is unavailable
+ */
+function createAutoDetector() {
+    if (!ClaudeAutoDetector.isAvailable()) {
+        console.log('❌ Auto-detection not available - Claude config directory not found');
+        console.log('💡 Make sure Claude Code is installed and has been run at least once');
+        return null;
+    }
+    
+    console.log('🔍 Starting auto-detection mode...');
+    
+    autoDetector = new ClaudeAutoDetector({
+        pollingInterval: config.get('sessions.pollingInterval', 2000),
+        idleThreshold: config.get('sessions.idle.enabled', true) ? IDLE_THRESHOLD : null
+    });
+    
+    // Plugins see every detector event as detector:<name>
+    PluginManager.DETECTOR_EVENTS.forEach(name =>
+        autoDetector.on(name, (...eventArgs) => plugins.emit(`detector:${name}`, ...eventArgs)));
+    
+    // Set up event handlers
+    autoDetector.on('session_started', (sessionData) => {
+        console.log(`🚀 Claude Code session auto-detected: ${sessionData.sessionId}`);
+        console.log(`📁 Working directory: ${sessionData.cwd}`);
+        
+        const linked = linkDetectedSession(sessionData);
+        let tracked = linked;
+        if (linked) {
+            console.log(`🔗 Linked to tracked session for ${linked.project?.name || 'Unknown'} (${linked.id.substring(0, 8)})`);
+        } else if (config.get('sessions.autoStart', false)) {
+            tracked = autoStartSession(sessionData);
+        }
+        
+        // Untracked sessions are described by what was detected
+        emitEvent('auto_detected', tracked || {
+            startTime: sessionData.startTime,
+            workingDirectory: sessionData.cwd,
+            claudeSessionId: sessionData.sessionId,
+            tokens: sessionData.tokens
+        }, { claudeSessionId: sessionData.sessionId, tracked: Boolean(tracked) });
+    });
+    
+    autoDetector.on('session_updated', (sessionData) => {
+        // Update local tracking if we have an active session
+        updateData(data => {
+            const activeSession = data.sessions.find(s => !s.endTime && s.claudeSessionId === sessionData.sessionId);
+            if (activeSession && JSON.stringify(activeSession.tokens) !== JSON.stringify(sessionData.tokens)) {
+                recordEvent(data, 'tokens_updated', activeSession.id, { tokens: sessionData.tokens });
+            }
+        });
+    });
+    
+    autoDetector.on('session_idle', (gap) => {
+        const added = updateData(data => {
+            const activeSession = data.sessions.find(s => !s.endTime && s.claudeSessionId === gap.sessionId);
+            return activeSession ? recordIdle(data, activeSession, [gap]) : 0;
+        });
+        if (added > 0) {
+            console.log(`💤 Idle for ${formatTime(added)} before ${gap.end.toLocaleTimeString()} - not counted as active time`);
+        }
+    });
+    
+    autoDetector.on('session_ended', (sessionData) => {
+        console.log(`📊 Claude Code session ended: ${sessionData.sessionId}`);
+        // Auto-end local session if it exists
+        autoEndSession(sessionData);
+    });
+    
+    autoDetector.startMonitoring();
+    return autoDetector;
+}
+
+/**
+ * Attach a detected Claude Code session to the tracked session for its project
+ * @returns {Object|null} The tracked session it now belongs to
+ */
+function linkDetectedSession(detectedSession) {
+    const workingDir = detectedSession.cwd && detectedSession.cwd !== 'Unknown' ?
+        detectedSession.cwd : ClaudeAutoDetector.extractWorkingDirectory(detectedSession.filePath);
+    
+    return updateData(data => {
+        const active = data.sessions.filter(s => !s.endTime);
+        const known = active.find(s => s.claudeSessionId === detectedSession.sessionId);
+        if (known) return known;
+        if (!workingDir) return null;
+        
+        const [session] = SessionEditor.filterContaining(active.filter(s => !s.claudeSessionId), workingDir);
+        if (!session) return null;
+        
+        recordEvent(data, 'session_updated', session.id, {
+            changes: { claudeSessionId: detectedSession.sessionId },
+            action: 'link'
+        });
+        return session;
+    });
+}
+
+/**
+ * Start tracking a detected Claude Code session
+ * @returns {Object|null} The new session, or null when it is already tracked
+ */
+function autoStartSession(detectedSession) {
+    const workingDir = ClaudeAutoDetector.extractWorkingDirectory(detectedSession.filePath);
+    const project = ProjectDetector.detectProject(workingDir);
+    
+    const sessionData = {
+        id: generateUUID(),
+        startTime: detectedSession.startTime,
+        endTime: null,
+        duration: null,
+        mode: 'claude-max',
+        workingDirectory: workingDir,
+        project: project,
+        tags: [],
+        warnings: { '30min': false, '10min': false },
+        tokens: detectedSession.tokens || { input: 0, output: 0, cacheCreate: 0, cacheRead: 0 },
+        environment: 'WSL',
+        claudeSessionId: detectedSession.sessionId,
+        claudeCodeVersion: null,
+        owner: SessionRecovery.getOwner()
+    };
+    
+    const started = updateData(data => {
+        if (data.sessions.some(s => s.claudeSessionId === detectedSession.sessionId)) return false;
+        recordEvent(data, 'session_started', sessionData.id, { session: sessionData, source: 'auto-detected' });
+        return true;
+    });
+    if (!started) return null;
+    
+    console.log(`✅ Auto-started tracking for project: ${project.name}`);
+    const timerConfig = config.getTimerMode(sessionData.mode);
+    scheduleWarningsForMode(sessionData, timerConfig);
+    watchSession(sessionData.id, timerConfig);
+    emitEvent('session_start', sessionData, { source: 'auto-detected' });
+    return sessionData;
+}
+
+function autoEndSession(detectedSession) {
+    const ended = updateData(data => {
+        const activeSession = data.sessions.find(s => !s.endTime && s.claudeSessionId === detectedSession.sessionId);
+        if (!activeSession) return null;
+        
+        const now = new Date();
+        recordIdle(data, activeSession, findSessionIdle(activeSession, now));
+        recordEvent(data, 'session_ended', activeSession.id, {
+            endTime: now.toISOString(),
+            duration: SessionTime.getActiveMs(activeSession, now.getTime()),
+            tokens: detectedSession.tokens || activeSession.tokens,
+            reason: 'auto-detected'
+        });
+        return activeSession;
+    });
+    
+    if (ended) {
+        console.log(`✅ Auto-ended session: ${formatTime(ended.duration)}`);
+        emitEvent('session_end', ended, { reason: 'auto-detected' });
+    }
+}
+
+function importCommand(dirs) {
+    const searchDirs = dirs.length > 0 ? dirs : getLegacySearchDirs();
+    
+    console.log(`🔍 Searching ${searchDirs.length} directories for legacy session files...`);
+    const result = updateData(data => importLegacySessions(data, searchDirs));
+    
+    if (result.files.length === 0) {
+        console.log('✅ No new legacy session files found');
+        return;
+    }
+    
+    result.files.forEach(file => console.log(`  📄 ${file}`));
+    console.log(`✅ Imported ${result.sessions} sessions into ${store.getFilePath()}`);
+}
+
+function showDay(value) {
+    const ledger = getLedger();
+    let key;
+    try {
+        key = ledger.parseDay(value);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        return;
+    }
+    
+    const range = ledger.getDayRange(key);
+    const liveSessions = loadData().sessions;
+    const liveIds = new Set(liveSessions.map(session => session.id));
+    
+    // Days past the retention window only exist in the yearly archives
+    const years = [range.start.getFullYear(), range.end.getFullYear()];
+    const sessions = Retention.loadArchivedSessions(ARCHIVE_DIR, years)
+        .filter(session => !liveIds.has(session.id))
+        .concat(liveSessions);
+    const day = ledger.getDay(sessions, key);
+    
+    console.log(`\n📅 ${key}  (${range.start.toLocaleString()} - ${range.end.toLocaleString()})`);
+    console.log('='.repeat(45));
+    console.log(`⏱️  Total: ${formatTime(day.totalMs)}`);
+    
+    if (day.sessions.length === 0) {
+        console.log('📭 No sessions recorded');
+    } else {
+        console.log('\n🏗️  By project:');
+        Object.entries(day.projects)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([project, ms]) => console.log(`  ${project.padEnd(25)} ${formatTime(ms)}`));
+        
+        console.log('\n🆔 Sessions:');
+        day.sessions.forEach(entry => {
+            console.log(`  ${entry.id.substring(0, 8)}  ${formatTime(entry.ms).padEnd(8)}  ${entry.project}${entry.active ? '  (active)' : ''}`);
+        });
+    }
+    console.log('');
+}
+
+function handlePomodoroCommand(action, target) {
+    switch (action || 'status') {
+        case 'status':
+            let session;
+            try {
+                session = SessionEditor.findActiveSession(loadData().sessions.filter(s => s.pomodoro), target, process.cwd());
+            } catch (error) {
+                console.log(`❌ ${error.message.replace('active session', 'active pomodoro session')}`);
+                return;
+            }
+            
+            const timerConfig = session.timerConfig || config.getTimerMode(session.mode);
+            const state = session.pomodoro;
+            const phaseEnd = Pomodoro.getPhaseEnd(session, timerConfig);
+            const untilLongBreak = Pomodoro.getCyclesUntilLongBreak(state, timerConfig);
+            
+            console.log(`\n🍅 POMODORO - ${session.project?.name || 'Unknown'}`);
+            console.log('='.repeat(45));
+            console.log(`📍 Phase: ${Pomodoro.getPhaseName(state.phase)}`);
+            console.log(`🔢 Cycle: ${state.cycle} (${state.completedCycles} completed)`);
+            if (phaseEnd !== null) {
+                const pausedNow = state.phase === 'work' && SessionTime.isPaused(session);
+                console.log(`⏰ Time left in phase: ${formatTime(Math.max(0, phaseEnd - Date.now()))}${pausedNow ? ' (paused)' : ''}`);
+            }
+            if (state.phase === 'work') {
+                const nextBreak = untilLongBreak === 1 ? 'long-break' : 'short-break';
+                console.log(`➡️  Next: ${Pomodoro.getPhaseName(nextBreak).toLowerCase()} (${formatTime(Pomodoro.getPhaseDuration(nextBreak, timerConfig))})`);
+            } else {
+                console.log(`➡️  Next: work cycle ${state.cycle + 1}${state.phase === 'waiting' ? ' - run `pomodoro next` when ready' : ''}`);
+            }
+            console.log(`🌴 Long break after ${untilLongBreak} more cycle${untilLongBreak === 1 ? '' : 's'}`);
+            console.log(`🔁 Auto-start next work cycle: ${timerConfig.autoStartWork ? 'on' : 'off'}`);
+            console.log(`💼 Worked this session: ${formatTime(SessionTime.getActiveMs(session))}`);
+            console.log('='.repeat(45) + '\n');
+            break;
+        case 'next':
+            let current;
+            try {
+                current = SessionEditor.findActiveSession(loadData().sessions.filter(s => s.pomodoro), target, process.cwd());
+            } catch (error) {
+                console.log(`❌ ${error.message.replace('active session', 'active pomodoro session')}`);
+                return;
+            }
+            
+            const result = advancePomodoro(current.id, current.timerConfig || config.getTimerMode(current.mode));
+            if (!result) {
+                console.log('❌ Session is no longer running');
+                return;
+            }
+            console.log(`✅ ${Pomodoro.getPhaseName(result.pomodoro.phase)} - cycle ${result.pomodoro.cycle} ` +
+                `(${result.pomodoro.completedCycles} completed)`);
+            break;
+        default:
+            console.log('Available pomodoro actions: status, next');
+            break;
+    }
+}
+
+/**
+ * Continuous and daily work time for the wellbeing reminders
+ * Idle gaps in open sessions count as breaks before they are recorded.
+ * @returns {Object} { streak, today, dayKey }
+ */
+function getWellbeingStatus(wellbeing, sessions, now = Date.now()) {
+    // Only recent sessions can be part of the current stretch of work
+    const recent = sessions
+        .filter(session => !session.endTime || new Date(session.endTime).getTime() > now - 24 * 60 * 60 * 1000)
+        .map(session => session.endTime ? session :
+            { ...session, idle: [...(session.idle || []), ...findSessionIdle(session, new Date(now))] });
+    
+    return {
+        streak: wellbeing.getStreak(recent, now),
+        today: getTodayUsage(sessions, now),
+        dayKey: getLedger().getDayKey(now)
+    };
+}
+
+/**
+ * Give the wellbeing reminders that are due
+ * Each one is recorded on the latest open session, so that every tracker that is
+ * running (a daemon, `start` in several projects) gives it only once.
+ */
+function checkWellbeing() {
+    const wellbeing = getWellbeing();
+    const now = Date.now();
+    const sessions = loadData().sessions;
+    if (!sessions.some(session => !session.endTime)) return;
+    
+    const status = getWellbeingStatus(wellbeing, sessions, now);
+    const due = wellbeing.getDueReminders(status);
+    if (due.length === 0) return;
+    
+    const fresh = updateData(data => {
+        const open = data.sessions.filter(session => !session.endTime);
+        if (open.length === 0) return [];
+        const given = new Set(data.sessions.flatMap(session =>
+            (session.reminders || []).map(reminder => `${reminder.reminder}|${reminder.key}`)));
+        const target = open.reduce((latest, session) =>
+            new Date(session.startTime) > new Date(latest.startTime) ? session : latest);
+        
+        const reminders = due.filter(reminder => !given.has(`${reminder.id}|${reminder.key}`));
+        reminders.forEach(reminder => {
+            recordEvent(data, 'wellbeing_reminder', target.id, {
+                reminder: reminder.id,
+                key: reminder.key,
+                at: new Date(now).toISOString()
+            });
+        });
+        return reminders;
+    });
+    
+    const values = {
+        continuous: formatTime(status.streak ? status.streak.activeMs : 0),
+        today: formatTime(status.today)
+    };
+    // A stretch break is an eye break too
+    const stretching = fresh.some(reminder => reminder.id === 'stretch');
+    fresh.filter(reminder => !(stretching && reminder.id === 'eye-break')).forEach(reminder => {
+        const message = WarningRules.formatMessage(reminder.message, values);
+        console.log(`\n${reminder.icon} [Wellbeing] ${reminder.title}: ${message}`);
+        showNotification(reminder.title, message, 'info');
+    });
+}
+
+/**
+ * Check for wellbeing reminders while this process keeps timers
+ * The timer does not keep the process alive on its own.
+ */
+function startWellbeingReminders() {
+    if (wellbeingTimer || !config.get('wellbeing.enabled', true)) return;
+    
+    wellbeingTimer = setInterval(() => {
+        try {
+            checkWellbeing();
+        } catch (error) {
+            console.error('Error checking wellbeing reminders:', error.message);
+        }
+    }, config.get('wellbeing.checkInterval', 60 * 1000));
+    wellbeingTimer.unref();
+}
+
+function showWellbeing() {
+    const wellbeing = getWellbeing();
+    const now = Date.now();
+    const status = getWellbeingStatus(wellbeing, loadData().sessions, now);
+    const enabled = config.get('wellbeing.enabled', true);
+    
+    console.log('\n🌿 WELLBEING');
+    console.log('='.repeat(45));
+    if (status.streak) {
+        console.log(`⏱️  Continuous work: ${formatTime(status.streak.activeMs)} (since ${new Date(status.streak.start).toLocaleTimeString()})`);
+    } else {
+        console.log(`☕ On a break - no work in the last ${formatTime(wellbeing.minBreak)}`);
+    }
+    console.log(`📈 Worked today: ${formatTime(status.today)}`);
+    
+    if (!enabled) {
+        console.log('🔕 Reminders are off (wellbeing.enabled)');
+    } else {
+        [['👀 Eye break', wellbeing.eyeBreakEvery], ['🧘 Stretch break', wellbeing.stretchEvery]].forEach(([label, every]) => {
+            if (!every) return;
+            const worked = status.streak ? status.streak.activeMs : 0;
+            console.log(`${label}: every ${formatTime(every)} of continuous work - next in ${formatTime(every - worked % every)}`);
+        });
+        if (wellbeing.stopForDayAfter) {
+            const left = wellbeing.stopForDayAfter - status.today;
+            console.log(`🌙 Stop for the day after ${formatTime(wellbeing.stopForDayAfter)}` +
+                `${left > 0 ? ` - ${formatTime(left)} to go` : ' - reached'}`);
+        }
+    }
+    if (wellbeing.dailyCap) {
+        console.log(`🛑 Daily cap: ${formatTime(wellbeing.dailyCap)}${wellbeing.isOverCap(status.today) ? ' - reached' : ''}`);
+    }
+    console.log('='.repeat(45) + '\n');
+}
+
+/**
+ * Warnings of a session that `ack` and `snooze` act on
+ * @param {Object} session - Session object
+ * @returns {Object} { outstanding, next } - fired warnings nobody acknowledged, and the
+ *   next warning to come due with its effective time (at, ms) or null
+ */
+function getWarningControls(session) {
+    const schedule = session.warningSchedule || [];
+    const outstanding = schedule.filter(entry => entry.firedAt && !entry.acknowledgedAt);
+    const next = schedule
+        .filter(entry => !entry.firedAt && !entry.acknowledgedAt && entry.dueAt)
+        .map(entry => ({ ...entry, at: Math.max(Date.parse(entry.dueAt), Date.parse(entry.snoozedUntil) || 0) }))
+        .sort((a, b) => a.at - b.at)[0] || null;
+    return { outstanding, next };
+}
+
+function snoozeWarning(target, minutes) {
+    const snoozeMinutes = minutes !== null ? parseFloat(minutes) : config.get('notifications.escalation.snoozeMinutes', 5);
+    if (!(snoozeMinutes > 0)) {
+        console.log('❌ Snooze minutes must be a positive number');
+        return;
+    }
+    
+    try {
+        const result = updateData(data => {
+            const session = SessionEditor.findActiveSession(data.sessions, target, process.cwd());
+            const now = Date.now();
+            const controls = getWarningControls(session);
+            const repeats = config.get('notifications.escalation.repeatAfter', [5 * 60 * 1000, 2 * 60 * 1000, 60 * 1000]).length;
+            // Critical warnings that are still repeating come first, then whatever fires next
+            const repeating = controls.outstanding.filter(entry => entry.critical && (entry.repeats || 0) < repeats);
+            const snoozed = repeating.length > 0
+                ? repeating.map(entry => ({ key: entry.key, until: now + snoozeMinutes * 60000 }))
+                : controls.next ? [{ key: controls.next.key, until: controls.next.at + snoozeMinutes * 60000 }] : [];
+            
+            snoozed.forEach(entry => {
+                recordEvent(data, 'warning_snoozed', session.id, {
+                    warning: entry.key,
+                    until: new Date(entry.until).toISOString(),
+                    at: new Date(now).toISOString()
+                });
+            });
+            return { session, snoozed, reminders: repeating.length > 0 };
+        });
+        
+        if (result.snoozed.length === 0) {
+            console.log(`💤 No warnings left to snooze for ${result.session.project?.name || result.session.id}`);
+            return;
+        }
+        result.snoozed.forEach(entry => {
+            console.log(`😴 ${result.reminders ? 'Reminders for the ' : ''}${getWarningLabel(entry.key)} snoozed until ` +
+                `${new Date(entry.until).toLocaleTimeString()} (${result.session.project?.name || 'Unknown'})`);
+        });
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+    }
+}
+
+function acknowledgeWarnings(target) {
+    try {
+        const result = updateData(data => {
+            const session = SessionEditor.findActiveSession(data.sessions, target, process.cwd());
+            const controls = getWarningControls(session);
+            // With nothing fired to acknowledge, `ack` waves off the next warning instead
+            const acknowledged = controls.outstanding.length > 0 ? controls.outstanding : controls.next ? [controls.next] : [];
+            const at = new Date().toISOString();
+            
+            acknowledged.forEach(entry => {
+                recordEvent(data, 'warning_acknowledged', session.id, { warning: entry.key, at });
+            });
+            return { session, acknowledged, suppressed: controls.outstanding.length === 0 };
+        });
+        
+        const name = result.session.project?.name || result.session.id;
+        if (result.acknowledged.length === 0) {
+            console.log(`💤 No warnings to acknowledge for ${name}`);
+        } else if (result.suppressed) {
+            const next = result.acknowledged[0];
+            console.log(`🔕 Next warning suppressed: ${getWarningLabel(next.key)} due ${new Date(next.at).toLocaleTimeString()} (${name})`);
+        } else {
+            console.log(`✅ Acknowledged: ${result.acknowledged.map(entry => getWarningLabel(entry.key)).join(', ')} (${name})`);
+        }
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+    }
+}
+
+function handleHooksCommand(action, event) {
+    const runner = getHookRunner();
+    
+    switch (action || 'list') {
+        case 'list':
+            console.log('\n🪝 LIFECYCLE HOOKS');
+            console.log('='.repeat(45));
+            HookRunner.EVENTS.forEach(name => {
+                const commands = runner.getCommands(name);
+                console.log(`${name}:${commands.length === 0 ? ' (none)' : ''}`);
+                commands.forEach(hook => console.log(`  $ ${hook.command}  (timeout ${hook.timeout / 1000}s)`));
+            });
+            console.log(`📄 Failures are logged to ${HOOKS_LOG_FILE}`);
+            console.log('='.repeat(45) + '\n');
+            break;
+        case 'test': {
+            if (!HookRunner.EVENTS.includes(event)) {
+                console.log(`❌ Unknown hook event "${event || ''}" (${HookRunner.EVENTS.join(', ')})`);
+                return;
+            }
+            if (runner.getCommands(event).length === 0) {
+                console.log(`📭 No hooks configured for ${event} (add commands to hooks.${event})`);
+                return;
+            }
+            
+            // The session for this directory when there is one, otherwise a made-up one
+            const data = loadData();
+            let session;
+            try {
+                session = SessionEditor.findActiveSession(data.sessions, null, process.cwd());
+            } catch (error) {
+                const now = new Date();
+                session = {
+                    id: generateUUID(),
+                    startTime: new Date(now.getTime() - 60 * 60 * 1000).toISOString(),
+                    endTime: ['session_end', 'expired'].includes(event) ? now.toISOString() : null,
+                    duration: ['session_end', 'expired'].includes(event) ? 60 * 60 * 1000 : null,
+                    mode: 'claude-max',
+                    workingDirectory: process.cwd(),
+                    project: { name: path.basename(process.cwd()), path: process.cwd(), type: 'unknown' },
+                    tags: [],
+                    tokens: { input: 0, output: 0, cacheCreate: 0, cacheRead: 0 }
+                };
+            }
+            const monthly = getMonthlyUsage(data.sessions);
+            const details = {
+                session_start: { source: 'manual' },
+                session_end: { reason: 'manual' },
+                warning: { warning: '10min', severity: 'critical', remainingMs: 10 * 60 * 1000 },
+                expired: { warning: 'expiry', severity: 'critical', remainingMs: 0 },
+                auto_detected: { claudeSessionId: session.claudeSessionId || 'test', tracked: true },
+                limit_approaching: { limit: 'monthly', percent: monthly.percent, used: monthly.used, quota: monthly.quota }
+            }[event];
+            
+            console.log(`🧪 Running ${event} hooks for ${session.project?.name || 'Unknown'} (${session.id.substring(0, 8)})...`);
+            runner.run(event, session, { ...details, test: true }).then(results => {
+                results.forEach(result => {
+                    const outcome = result.ok ? '✅' : `❌ ${result.error}`;
+                    console.log(`\n${outcome}  $ ${result.command}  (${result.durationMs}ms)`);
+                    if (result.stdout) console.log(result.stdout.split('\n').map(line => `   │ ${line}`).join('\n'));
+                    if (result.stderr) console.log(result.stderr.split('\n').map(line => `   ! ${line}`).join('\n'));
+                });
+                const failed = results.filter(result => !result.ok).length;
+                console.log(failed > 0 ?
+                    `\n❌ ${failed} of ${results.length} hook${results.length === 1 ? '' : 's'} failed - logged to ${HOOKS_LOG_FILE}` :
+                    `\n✅ ${results.length} hook${results.length === 1 ? '' : 's'} succeeded`);
+                if (failed > 0) process.exitCode = 1;
+            }).catch(error => {
+                console.log(`❌ Could not run the ${event} hooks: ${error.message}`);
+                process.exitCode = 1;
+            });
+            break;
+        }
+        default:
+            console.log('Usage: node scripts/session-tracker.js hooks [list|test EVENT]');
+            break;
+    }
+}
+
+function handleNotifyCommand(action, severity, options = {}) {
+    const notifier = getNotifier();
+    const webhooks = getWebhookNotifier();
+    
+    switch (action || 'list') {
+        case 'list':
+            console.log('\n📱 NOTIFICATION BACKENDS (tried in order)');
+            console.log('='.repeat(45));
+            if (!notifier.enabled) {
+                console.log('🔕 Desktop notifications are off (notifications.enabled) - console only');
+            }
+            Notifier.SEVERITIES.forEach(name => console.log(`${name.padEnd(9)} ${notifier.getRoute(name).join(' → ')}`));
+            console.log(`📄 Log backend writes to ${notifier.logFile}`);
+            if (webhooks.endpoints.length > 0) {
+                console.log('\n🌐 Webhooks:');
+                webhooks.endpoints.forEach(endpoint => console.log(`  ${WebhookNotifier.getName(endpoint)} ` +
+                    `(${endpoint.format || 'generic'}) - ${(endpoint.events || WebhookNotifier.DEFAULT_EVENTS).join(', ')}`));
+            }
+            const queued = webhooks.getQueued();
+            if (queued.length > 0) {
+                console.log(`📥 ${queued.length} webhook payload${queued.length === 1 ? '' : 's'} queued ` +
+                    `(oldest ${new Date(queued[0].queuedAt).toLocaleString()}) - send them with: notify flush`);
+            }
+            console.log('='.repeat(45) + '\n');
+            break;
+        case 'test': {
+            const level = severity || 'warning';
+            if (!Notifier.SEVERITIES.includes(level)) {
+                console.log(`❌ Unknown severity "${level}" (${Notifier.SEVERITIES.join(', ')})`);
+                return;
+            }
+            if (options.format && !WebhookNotifier.FORMATS.includes(options.format)) {
+                console.log(`❌ Unknown webhook format "${options.format}" (${WebhookNotifier.FORMATS.join(', ')})`);
+                return;
+            }
+            const message = `Test ${level} notification sent at ${new Date().toLocaleTimeString()}`;
+            // --url tries one webhook, such as a local stand-in, instead of everything configured
+            const endpoints = options.url ?
+                [{ url: options.url, format: options.format || 'generic' }] : webhooks.endpoints;
+            
+            const sendLocal = options.url ? Promise.resolve(true) : (() => {
+                console.log(`🧪 Sending a test notification (${level}) via ${notifier.getRoute(level).join(' → ')}...`);
+                return notifier.send({ title: 'Session Tracker test', message, severity: level }).then(result => {
+                    result.failures.forEach(failure => console.log(`❌ ${failure.backend}: ${failure.error}`));
+                    console.log(result.backend ? `✅ Delivered by ${result.backend}` : '❌ No backend could deliver it');
+                    return Boolean(result.backend);
+                });
+            })();
+            
+            sendLocal.then(async localOk => {
+                let ok = localOk;
+                for (const endpoint of endpoints) {
+                    console.log(`\n🌐 Posting a test payload to ${WebhookNotifier.getName(endpoint)} (${endpoint.format || 'generic'})...`);
+                    const payload = WebhookNotifier.buildPayload(endpoint, 'test', {
+                        project: { name: path.basename(process.cwd()), path: process.cwd() }
+                    }, { severity: level, message });
+                    const result = await webhooks.deliver(endpoint, payload);
+                    const tries = `${result.attempts} attempt${result.attempts === 1 ? '' : 's'}`;
+                    console.log(result.ok ? `✅ HTTP ${result.status} (${tries})` : `❌ ${result.error} (${tries})`);
+                    ok = ok && result.ok;
+                }
+                if (!ok) process.exitCode = 1;
+            }).catch(error => {
+                console.log(`❌ Test failed: ${error.message}`);
+                process.exitCode = 1;
+            });
+            break;
+        }
+        case 'flush': {
+            const queued = webhooks.getQueued();
+            if (queued.length === 0) {
+                console.log('✅ No queued webhook payloads');
+                return;
+            }
+            console.log(`📤 Sending ${queued.length} queued webhook payload${queued.length === 1 ? '' : 's'}...`);
+            webhooks.flush().then(result => {
+                console.log(`✅ Sent ${result.sent}`);
+                if (result.failed > 0) {
+                    console.log(`🗑️  Dropped ${result.failed} the endpoint rejected`);
+                }
+                if (result.remaining > 0) {
+                    console.log(`📥 ${result.remaining} still queued - their endpoint is not answering`);
+                    process.exitCode = 1;
+                }
+            }).catch(error => {
+                console.log(`❌ Flush failed: ${error.message}`);
+                process.exitCode = 1;
+            });
+            break;
+        }
+        default:
+            console.log('Usage: node scripts/session-tracker.js notify [list|test [SEVERITY] [--url URL] [--format FORMAT]|flush]');
+            break;
+    }
+}
+
+function handlePluginCommand(action, name) {
+    const enabled = config.get('plugins.enabled', []);
+    
+    switch (action || 'list') {
+        case 'list': {
+            const found = plugins.list();
+            console.log(`\n🧩 PLUGINS (${PLUGIN_DIR})`);
+            console.log('='.repeat(45));
+            if (found.length === 0) {
+                console.log('📭 No plugins installed - add a .js file or a directory with index.js');
+            }
+            found.forEach(plugin => {
+                if (!plugin.enabled) {
+                    console.log(`⏸️  ${plugin.name} (disabled)`);
                     return;
+                }
+                if (plugin.error) {
+                    console.log(`❌ ${plugin.name} - failed to load: ${plugin.error}`);
+                    return;
+                }
+                console.log(`✅ ${plugin.name}${plugin.version ? ` v${plugin.version}` : ''}` +
+                    `${plugin.description ? ` - ${plugin.description}` : ''}`);
+                const { events, commands, formats, detectors } = plugin.registered;
+                const parts = [];
+                if (events.length > 0) parts.push(`events: ${[...new Set(events)].join(', ')}`);
+                if (commands.length > 0) parts.push(`commands: ${commands.join(', ')}`);
+                if (formats.length > 0) parts.push(`export formats: ${formats.join(', ')}`);
+                if (detectors.length > 0) parts.push(`project detectors: ${detectors.length}`);
+                if (parts.length > 0) console.log(`     ${parts.join('; ')}`);
+            });
+            enabled.filter(enabledName => !found.some(plugin => plugin.name === enabledName)).forEach(enabledName =>
+                console.log(`⚠️  ${enabledName} is enabled but not installed`));
+            console.log('='.repeat(45) + '\n');
+            break;
+        }
+        case 'enable':
+            if (!name) {
+                console.log('Usage: node scripts/session-tracker.js plugin enable NAME');
+                return;
+            }
+            if (!plugins.list().some(plugin => plugin.name === name)) {
+                console.log(`❌ No plugin named "${name}" in ${PLUGIN_DIR}`);
+                return;
+            }
+            if (enabled.includes(name)) {
+                console.log(`✅ Plugin ${name} is already enabled`);
+                return;
+            }
+            if (config.set('plugins.enabled', enabled.concat(name))) {
+                console.log(`✅ Plugin ${name} enabled - it loads with the next command`);
+            } else {
+                console.log(`❌ Failed to enable plugin ${name}`);
+            }
+            break;
+        case 'disable':
+            if (!name || !enabled.includes(name)) {
+                console.log(`❌ Plugin "${name || ''}" is not enabled`);
+                return;
+            }
+            if (config.set('plugins.enabled', enabled.filter(enabledName => enabledName !== name))) {
+                console.log(`✅ Plugin ${name} disabled`);
+            } else {
+                console.log(`❌ Failed to disable plugin ${name}`);
+            }
+            break;
+        default:
+            console.log('Usage: node scripts/session-tracker.js plugin [list|enable NAME|disable NAME]');
+            break;
+    }
+}
+
+/**
+ * Run a subcommand registered by a plugin
+ */
+function runPluginCommand(name, commandArgs, parsedArgs) {
+    const pluginCommand = plugins.getCommand(name);
+    Promise.resolve()
+        .then(() => pluginCommand.run(commandArgs, parsedArgs))
+        .catch(error => {
+            console.error(`❌ ${name} (plugin ${pluginCommand.plugin}) failed: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+function handleQuotaCommand(action, parsedArgs) {
+    const data = loadData();
+    
+    switch (action || 'show') {
+        case 'show':
+            const usage = getMonthlyUsage(data.sessions);
+            const daysLeft = Math.ceil((usage.end - Date.now()) / (24 * 60 * 60 * 1000));
+            console.log('\n📊 MONTHLY SESSION QUOTA');
+            console.log('='.repeat(45));
+            console.log(`📅 Billing cycle: ${usage.start.toLocaleDateString()} - ${new Date(usage.end.getTime() - 1).toLocaleDateString()}`);
+            console.log(`📊 Sessions used: ${usage.used}/${usage.quota} (${usage.percent}%)`);
+            console.log(`🎯 Remaining: ${usage.remaining} sessions over ${daysLeft} days`);
+            if (usage.percent >= config.get('limits.warnPercent', 90)) {
+                console.log('🚨 Approaching the monthly session limit!');
             }
-            console.log(`✅ Export completed: ${result}`);
-        }
-    } catch (error) {
-        console.error('❌ Export failed:', error.message);
+            console.log('='.repeat(45) + '\n');
+            break;
+        case 'history':
+            // Older cycles live in the yearly archives
+            const liveIds = new Set(data.sessions.map(session => session.id));
+            const sessions = Retention.loadArchivedSessions(ARCHIVE_DIR)
+                .filter(session => !liveIds.has(session.id))
+                .concat(data.sessions);
+            const history = BillingCycle.getHistory(sessions, {
+                quota: config.get('limits.monthlySessions', 50),
+                anchorDay: config.get('limits.billingAnchorDay', 1),
+                cycles: parseInt(parsedArgs.options.cycles || '12')
+            });
+            
+            console.log('\n📅 Billing cycle history (newest first):');
+            history.forEach((cycle, index) => {
+                const range = `${cycle.start.toLocaleDateString()} - ${new Date(cycle.end.getTime() - 1).toLocaleDateString()}`;
+                const bar = '█'.repeat(Math.min(20, Math.round(cycle.percent / 5))).padEnd(20, '░');
+                console.log(`  ${range.padEnd(25)} ${bar} ${String(cycle.used).padStart(3)}/${cycle.quota} ` +
+                    `(${cycle.percent}%)${index === 0 ? '  ← current' : ''}`);
+            });
+            console.log('');
+            break;
+        default:
+            console.log('Available quota actions: show, history');
+            break;
     }
 }
 
-function startAutoDetection() {
-    if (!ClaudeAutoDetector.isAvailable()) {
-        console.log('❌ Auto-detection not available - Claude config directory not found');
-        console.log('💡 Make sure Claude Code is installed and has been run at least once');
+/**
+ * Find sessions left open by a tracker that went away and close them
+ * @param {Object} options - Recovery options
+ * @param {string} options.target - Only consider this session (id or prefix)
+ * @param {string} options.policy - expiry, last-activity, now or prompt (default: sessions.recovery.policy)
+ * @param {boolean} options.dryRun - Report what would be closed without changing anything
+ * @param {boolean} options.quiet - Print nothing when there is nothing to recover
+ */
+function recoverSessions(options = {}) {
+    const policy = options.policy || config.get('sessions.recovery.policy', 'prompt');
+    if (!SessionRecovery.POLICIES.includes(policy)) {
+        console.log(`❌ Unknown recovery policy "${policy}" (${SessionRecovery.POLICIES.join(', ')})`);
         return;
     }
     
-    console.log('🔍 Starting auto-detection mode...');
+    const now = Date.now();
+    // Expiry from the session's own start, not today's usage window
+    const getExpiry = (session, at) =>
+        getSessionExpiry(session, session.timerConfig || config.getTimerMode(session.mode), at, null);
+    let orphans = SessionRecovery.findOrphans(loadData().sessions, getExpiry, now);
     
-    autoDetector = new ClaudeAutoDetector({
-        pollingInterval: config.get('sessions.pollingInterval', 2000)
-    });
+    if (options.target) {
+        try {
+            const session = SessionEditor.findSession(orphans.map(orphan => orphan.session), options.target);
+            orphans = orphans.filter(orphan => orphan.session === session);
+        } catch (error) {
+            console.log(`❌ ${error.message} among orphaned sessions`);
+            return;
+        }
+    }
     
-    // Set up event handlers
-    autoDetector.on('session_started', (sessionData) => {
-        console.log(`🚀 Claude Code session auto-detected: ${sessionData.sessionId}`);
-        console.log(`📁 Working directory: ${sessionData.cwd}`);
-        
-        if (config.get('sessions.autoStart', false)) {
-            autoStartSession(sessionData);
+    if (orphans.length === 0) {
+        if (!options.quiet) {
+            console.log('✅ No orphaned sessions');
         }
-    });
+        return;
+    }
     
-    autoDetector.on('session_updated', (sessionData) => {
-        // Update local tracking if we have an active session
-        const data = loadData();
-        const activeSession = data.sessions.find(s => !s.endTime && s.claudeSessionId === sessionData.sessionId);
-        if (activeSession) {
-            activeSession.tokens = sessionData.tokens;
-            saveData(data);
+    console.log(`\n🩹 ${orphans.length} orphaned session${orphans.length === 1 ? '' : 's'} found`);
+    const plans = [];
+    let undecided = 0;
+    
+    orphans.forEach(orphan => {
+        const { session } = orphan;
+        const lastActivity = ClaudeAutoDetector.findLastActivity({
+            claudeSessionId: session.claudeSessionId,
+            workingDirectory: session.project?.path || session.workingDirectory,
+            since: new Date(session.startTime),
+            until: new Date(Math.min(now, orphan.expiry))
+        });
+        
+        console.log(`\n  ${formatSessionLine(session)}`);
+        if (orphan.ownerGone) {
+            console.log(`     💀 Tracker process ${session.owner.pid} is no longer running`);
+        }
+        if (orphan.expired) {
+            console.log(`     ⏰ Timer ran out at ${new Date(orphan.expiry).toLocaleString()}`);
+        }
+        console.log(`     🕐 Last Claude Code activity: ${lastActivity ? lastActivity.toLocaleString() : 'none found'}`);
+        
+        let strategy = policy;
+        if (policy === 'prompt') {
+            const answer = promptChoice('     Close at (e)xpiry, (l)ast activity, (n)ow, or (k)eep open?', ['e', 'l', 'n', 'k']);
+            strategy = { e: 'expiry', l: 'last-activity', n: 'now' }[answer] || null;
+            if (answer === null) undecided++;
+        }
+        
+        const resolved = strategy ? SessionRecovery.resolveEndTime(orphan, strategy, lastActivity, now) : null;
+        if (resolved) {
+            console.log(`     ➡️  Close at ${resolved.endTime.toLocaleString()} (${resolved.basis})`);
+            plans.push({ sessionId: session.id, ...resolved, idle: findSessionIdle(session, resolved.endTime) });
+        } else {
+            console.log('     ⏭️  Left open');
         }
     });
     
-    autoDetector.on('session_ended', (sessionData) => {
-        console.log(`📊 Claude Code session ended: ${sessionData.sessionId}`);
-        // Auto-end local session if it exists
-        autoEndSession(sessionData);
+    if (undecided > 0) {
+        console.log('\n💡 Close them with: node scripts/session-tracker.js recover --policy expiry|last-activity|now');
+    }
+    if (plans.length === 0) return;
+    if (options.dryRun) {
+        console.log(`\n🔍 Dry run - ${plans.length} session${plans.length === 1 ? '' : 's'} would be closed`);
+        return;
+    }
+    
+    const usageWindow = getUsageWindow(now);
+    const closed = updateData(data => {
+        rememberUsageWindow(data, usageWindow);
+        const sessions = [];
+        plans.forEach(plan => {
+            const session = data.sessions.find(s => s.id === plan.sessionId && !s.endTime);
+            if (!session) return; // Ended from elsewhere in the meantime
+            
+            recordIdle(data, session, plan.idle);
+            recordEvent(data, 'session_ended', session.id, {
+                endTime: plan.endTime.toISOString(),
+                duration: SessionTime.getActiveMs({ ...session, endTime: plan.endTime.toISOString() }),
+                reason: `recovered-${plan.basis}`
+            });
+            sessions.push(session);
+        });
+        return sessions;
     });
     
-    autoDetector.startMonitoring();
+    console.log(`\n✅ Closed ${closed.length} orphaned session${closed.length === 1 ? '' : 's'}`);
+    closed.forEach(session => emitEvent('session_end', session, { reason: session.endReason }));
+}
+
+/**
+ * Ask a one-letter question on the terminal
+ * @returns {string|null} The chosen letter, or null when there is no terminal to ask
+ */
+function promptChoice(question, choices) {
+    if (!process.stdin.isTTY) return null;
     
-    // Keep process alive
-    process.on('SIGINT', () => {
-        console.log('\\n🛑 Auto-detection stopped');
-        if (autoDetector) {
-            autoDetector.stopMonitoring();
-        }
-        process.exit(0);
-    });
+    process.stdout.write(`${question} [${choices.join('/')}] `);
+    const buffer = Buffer.alloc(64);
+    try {
+        const bytes = fs.readSync(0, buffer, 0, buffer.length, null);
+        const answer = buffer.toString('utf8', 0, bytes).trim().toLowerCase();
+        return choices.includes(answer) ? answer : choices[choices.length - 1];
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatSessionLine(session) {
+    const sessionDuration = session.endTime ? formatTime(session.duration || 0) : 'active';
+    return `${session.id.substring(0, 8)}  ${new Date(session.startTime).toLocaleString()}  ` +
+        `${(session.mode || 'claude-max').padEnd(10)}  ${sessionDuration.padEnd(8)}  ${session.project?.name || 'Unknown'}`;
+}
+
+function handleSessionCommand(action, refs, parsedArgs) {
+    const { options, flags } = parsedArgs;
+    const sessionRef = refs[0];
     
-    console.log('✅ Auto-detection started - Press Ctrl+C to stop');
-    setInterval(() => {}, 1000);
+    try {
+        switch (action) {
+            case 'list': {
+                let sessions = loadData().sessions;
+                if (options.project) {
+                    sessions = SessionStore.filterByProjectPath(sessions, options.project);
+                }
+                if (!flags.includes('all')) {
+                    sessions = sessions.slice(-parseInt(options.limit || '20'));
+                }
+                if (sessions.length === 0) {
+                    console.log('No sessions recorded');
+                    break;
+                }
+                sessions.forEach(session => console.log(formatSessionLine(session)));
+                break;
+            }
+            case 'show': {
+                const session = SessionEditor.findSession(loadData().sessions, sessionRef);
+                console.log(JSON.stringify(session, null, 2));
+                break;
+            }
+            case 'edit': {
+                const edits = {
+                    start: options.start,
+                    end: options.end,
+                    duration: options.duration,
+                    mode: options.mode,
+                    tags: options.tags ? options.tags.split(',') : null
+                };
+                const updated = updateData(data => {
+                    const session = SessionEditor.findSession(data.sessions, sessionRef);
+                    const changes = SessionEditor.buildEdit(session, edits, Object.keys(config.getTimerModes()));
+                    if (Object.keys(changes).length === 0) {
+                        throw new Error('Nothing to change - pass --start, --end, --duration, --mode or --tags');
+                    }
+                    
+                    backupBeforeDestructive('pre-edit');
+                    recordEvent(data, 'session_updated', session.id, { changes, action: 'edit' });
+                    return session;
+                });
+                console.log('✅ Session updated');
+                console.log(formatSessionLine(updated));
+                break;
+            }
+            case 'delete': {
+                const removed = updateData(data => {
+                    const session = SessionEditor.findSession(data.sessions, sessionRef);
+                    backupBeforeDestructive('pre-delete');
+                    recordEvent(data, 'session_removed', session.id, { action: 'delete' });
+                    return session;
+                });
+                console.log(`🗑️  Deleted session ${removed.id}`);
+                break;
+            }
+            case 'split': {
+                if (!options.at) {
+                    throw new Error('Usage: session split <id> --at <time>');
+                }
+                const halves = updateData(data => {
+                    const session = SessionEditor.findSession(data.sessions, sessionRef);
+                    const at = SessionEditor.parseTime(options.at, new Date(session.startTime));
+                    const { firstChanges, second } = SessionEditor.split(session, at, generateUUID());
+                    
+                    backupBeforeDestructive('pre-split');
+                    recordEvent(data, 'session_updated', session.id, { changes: firstChanges, action: 'split' });
+                    recordEvent(data, 'session_started', second.id, { session: second, source: 'split' });
+                    return [session, data.sessions.find(s => s.id === second.id)];
+                });
+                console.log('✂️  Session split in two:');
+                halves.forEach(session => console.log(`  ${formatSessionLine(session)}`));
+                break;
+            }
+            case 'merge': {
+                const result = updateData(data => {
+                    const first = SessionEditor.findSession(data.sessions, sessionRef);
+                    const second = SessionEditor.findSession(data.sessions, refs[1]);
+                    const merge = SessionEditor.merge(first, second);
+                    
+                    backupBeforeDestructive('pre-merge');
+                    recordEvent(data, 'session_updated', merge.keep.id, { changes: merge.changes, action: 'merge' });
+                    recordEvent(data, 'session_removed', merge.remove.id, { action: 'merge', mergedInto: merge.keep.id });
+                    return merge;
+                });
+                console.log(`🔗 Merged ${result.remove.id.substring(0, 8)} into ${result.keep.id.substring(0, 8)}`);
+                console.log(`  ${formatSessionLine(result.keep)}`);
+                if (result.gap > 0) {
+                    console.log(`  ⏸️  Includes ${formatTime(result.gap)} between the two sessions`);
+                }
+                break;
+            }
+            default:
+                console.log('Available session actions: list, show, edit, delete, split, merge');
+                break;
+        }
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+    }
 }
 
-function autoStartSession(detectedSession) {
-    const workingDir = ClaudeAutoDetector.extractWorkingDirectory(detectedSession.filePath);
-    const project = ProjectDetector.detectProject(workingDir);
+function cleanupCommand(dryRun) {
+    const result = runCleanup({ dryRun });
     
-    const sessionData = {
-        id: generateUUID(),
-        startTime: detectedSession.startTime,
-        endTime: null,
-        duration: null,
-        mode: 'claude-max',
-        workingDirectory: workingDir,
-        project: project,
-        tags: [],
-        warnings: { '30min': false, '10min': false },
-        tokens: detectedSession.tokens || { input: 0, output: 0, cacheCreate: 0, cacheRead: 0 },
-        environment: 'WSL',
-        claudeSessionId: detectedSession.sessionId,
-        claudeCodeVersion: null
-    };
+    if (result.sessions.length === 0) {
+        console.log('✅ Nothing to archive');
+        return;
+    }
     
-    const data = loadData();
-    data.sessions.push(sessionData);
-    saveData(data);
+    if (dryRun) {
+        console.log(`🔍 Dry run - ${result.sessions.length} sessions would be archived:`);
+        result.sessions.forEach(session => {
+            console.log(`  ${new Date(session.startTime).toLocaleString()}  ${session.project?.name || 'Unknown'}  ${session.id}`);
+        });
+        return;
+    }
     
-    console.log(`✅ Auto-started tracking for project: ${project.name}`);
-    scheduleWarnings(sessionData.startTime);
+    if (result.backup) {
+        console.log(`💾 Backup: ${result.backup}`);
+    }
+    console.log(`🗄️  Archived ${result.sessions.length} sessions`);
+    result.files.forEach(file => console.log(`  📦 ${file}`));
 }
 
-function autoEndSession(detectedSession) {
-    const data = loadData();
-    const activeSession = data.sessions.find(s => !s.endTime && s.claudeSessionId === detectedSession.sessionId);
+function handleBackupCommand(action, args) {
+    switch (action) {
+        case 'list':
+            const backups = store.listBackups();
+            if (backups.length === 0) {
+                console.log('No backups found');
+                break;
+            }
+            console.log(`Backups in ${path.dirname(backups[0].path)}:`);
+            backups.forEach(backup => {
+                console.log(`  ${backup.name}  (${Math.round(backup.size / 1024)} KB)`);
+            });
+            break;
+        case 'create':
+            const created = store.withLock(() => createRotatingBackup(args[0] || 'manual'));
+            console.log(created ? `✅ Backup created: ${created}` : '❌ No session data to back up');
+            break;
+        case 'restore':
+            if (!args[0]) {
+                console.log('Usage: backup restore <name>');
+                return;
+            }
+            try {
+                const restored = store.withLock(() => {
+                    const { backup, data } = store.readBackup(args[0]);
+                    const safety = createRotatingBackup('pre-restore');
+                    const current = store.read();
+                    const restoredData = migrateDataStructure(data).data;
+                    
+                    // Keep numbering the journal forward and make the restored state the new replay base
+                    restoredData.journal = {
+                        seq: Math.max(current?.journal?.seq || 0, restoredData.journal?.seq || 0),
+                        eventsSinceSnapshot: 0
+                    };
+                    journal.writeSnapshot(restoredData);
+                    saveData(restoredData);
+                    return { backup, safety, sessions: restoredData.sessions.length };
+                });
+                console.log(`✅ Restored ${restored.sessions} sessions from ${restored.backup.name}`);
+                if (restored.safety) {
+                    console.log(`💾 Previous data saved to: ${restored.safety}`);
+                }
+            } catch (error) {
+                console.log(`❌ Restore failed: ${error.message}`);
+            }
+            break;
+        default:
+            console.log('Available backup actions: list, create, restore');
+            break;
+    }
+}
+
+function migrateCommand(dryRun) {
+    const raw = store.read();
+    if (!raw) {
+        console.log('❌ No session data found at', store.getFilePath());
+        return;
+    }
     
-    if (activeSession) {
-        const now = new Date();
-        activeSession.endTime = now.toISOString();
-        activeSession.duration = now - new Date(activeSession.startTime);
-        activeSession.tokens = detectedSession.tokens || activeSession.tokens;
-        
-        data.totalUsage += activeSession.duration;
-        saveData(data);
-        
-        console.log(`✅ Auto-ended session: ${formatTime(activeSession.duration)}`);
+    const pending = Migrations.getPending(raw);
+    console.log(`📦 Data version: v${raw.version || '1.0.0'} (latest: v${Migrations.getLatestVersion()})`);
+    if (pending.length === 0) {
+        console.log('✅ Session data is up to date');
+        return;
+    }
+    
+    if (!dryRun) {
+        upgradeStoreData(raw);
+        return;
+    }
+    
+    const result = migrateDataStructure(raw);
+    console.log('🔍 Dry run - no changes written');
+    result.applied.forEach(migration => {
+        console.log(`\n  v${migration.version}: ${migration.description}`);
+        if (migration.changes.length === 0) {
+            console.log('    (no changes)');
+        }
+        migration.changes.forEach(change => console.log(`    - ${change}`));
+    });
+}
+
+function handleJournalCommand(action, parsedArgs) {
+    switch (action) {
+        case 'show':
+            const limit = parseInt(parsedArgs.options.limit || '20');
+            let events = journal.readAll().filter(entry => entry.type !== 'snapshot');
+            if (parsedArgs.options.session) {
+                events = events.filter(event => (event.sessionId || '').startsWith(parsedArgs.options.session));
+            }
+            
+            console.log(`Journal: ${journal.getFilePath()}`);
+            events.slice(-limit).forEach(event => {
+                const details = event.payload.reason || event.payload.action || event.payload.warning || event.payload.source || '';
+                console.log(`  #${event.seq}  ${new Date(event.at).toLocaleString()}  ${event.type}  ${event.sessionId || '-'}  ${details}`);
+            });
+            break;
+        case 'rebuild':
+            const full = parsedArgs.flags.includes('full');
+            const dryRun = parsedArgs.flags.includes('dry-run');
+            const replayed = journal.replay({ full });
+            if (!replayed) {
+                console.log('❌ Journal is empty - nothing to replay');
+                return;
+            }
+            // Older snapshots may predate the current data version
+            const rebuilt = migrateDataStructure(replayed).data;
+            
+            const summary = updateData(data => {
+                const before = {
+                    sessions: data.sessions.length,
+                    todayUsage: getTodayUsage(data.sessions),
+                    monthlyUsed: getMonthlyUsage(data.sessions).used
+                };
+                if (!dryRun) {
+                    data.sessions = rebuilt.sessions;
+                    // The rebuilt state is the new replay base, so a later replay still matches the store
+                    journal.writeSnapshot(data);
+                }
+                return { before, after: { sessions: rebuilt.sessions } };
+            });
+            
+            console.log(`${dryRun ? '🔍 Dry run - ' : '✅ '}Replayed journal from the ${full ? 'first' : 'latest'} snapshot`);
+            console.log(`  Sessions: ${summary.before.sessions} → ${summary.after.sessions.length}`);
+            console.log(`  Usage today: ${formatTime(summary.before.todayUsage)} → ${formatTime(getTodayUsage(summary.after.sessions))}`);
+            console.log(`  Monthly sessions: ${summary.before.monthlyUsed} → ${getMonthlyUsage(summary.after.sessions).used}`);
+            break;
+        default:
+            console.log('Available journal actions: show, rebuild');
+            break;
     }
 }
 
@@ -929,32 +3529,83 @@ function handleProjectCommand(action, args) {
                             name,
                             type: session.project.type,
                             sessions: 0,
-                            totalTime: 0
+                            activeTime: 0,
+                            wallClockTime: 0
                         };
                     }
                     projects[name].sessions++;
-                    if (session.duration) {
-                        projects[name].totalTime += session.duration;
+                    if (session.endTime) {
+                        projects[name].activeTime += SessionTime.getActiveMs(session);
+                        projects[name].wallClockTime += new Date(session.endTime) - new Date(session.startTime);
                     }
                 }
             });
             
             console.log('Project summary:');
             Object.values(projects).forEach(project => {
-                console.log(`${project.name} (${project.type}): ${project.sessions} sessions, ${formatTime(project.totalTime)}`);
+                console.log(`${project.name} (${project.type}): ${project.sessions} sessions, ` +
+                    `${formatTime(project.activeTime)} active / ${formatTime(project.wallClockTime)} wall clock`);
+            });
+            break;
+        case 'sessions':
+            const sessionsPath = path.resolve(args[0] || process.cwd());
+            const projectSessions = SessionStore.filterByProjectPath(loadData().sessions, sessionsPath);
+            
+            console.log(`Sessions for ${sessionsPath}:`);
+            if (projectSessions.length === 0) {
+                console.log('  (none)');
+                break;
+            }
+            projectSessions.forEach(session => {
+                const sessionDuration = session.endTime ? formatTime(session.duration || 0) : 'active';
+                console.log(`  ${new Date(session.startTime).toLocaleString()}  ${session.mode || 'claude-max'}  ${sessionDuration}  ${session.id}`);
             });
             break;
         default:
-            console.log('Available project actions: detect, info');
+            console.log('Available project actions: detect, info, sessions');
             break;
     }
 }
 
-// Keep the process alive for warnings
-if (command === 'start') {
+/**
+ * Run a session command through the daemon when one is running, so that it owns the
+ * timers; otherwise run it here as before
+ */
+function runClientCommand(command, parsedArgs) {
+    const daemonPid = config.get('daemon.enabled', true) && !parsedArgs.flags.includes('no-daemon') ?
+        TrackerDaemon.readPid(DAEMON_PID_FILE) : null;
+    if (!daemonPid) {
+        runSessionCommandHere(command, parsedArgs);
+        return;
+    }
+    
+    const request = { command, args: process.argv.slice(3), cwd: process.cwd() };
+    TrackerDaemon.request(DAEMON_SOCKET, request, config.get('daemon.requestTimeout', 10000))
+        .then(response => {
+            if (response.output) {
+                process.stdout.write(response.output);
+            }
+            if (!response.ok) {
+                console.log(`❌ Tracker daemon: ${response.error}`);
+                process.exitCode = 1;
+            }
+        })
+        .catch(error => {
+            console.log(`⚠️  Tracker daemon (PID ${daemonPid}) did not answer: ${error.message} - running here instead`);
+            runSessionCommandHere(command, parsedArgs);
+        });
+}
+
+function runSessionCommandHere(command, parsedArgs) {
+    executeSessionCommand(command, parsedArgs);
+    if (command !== 'start') return;
+    startWellbeingReminders();
+    
+    // Keep the process alive for warnings
     process.on('SIGINT', () => {
         console.log('\n🛑 Session tracker interrupted');
         clearWarnings();
+        unwatchSession();
         process.exit(0);
     });
     
@@ -963,3 +3614,276 @@ if (command === 'start') {
         setInterval(() => {}, 1000);
     }
 }
+
+/**
+ * The commands the daemon runs on behalf of clients
+ */
+function executeSessionCommand(command, parsedArgs) {
+    switch (command) {
+        case 'start':
+            const mode = parsedArgs.options.mode || 'claude-max';
+            const duration = parsedArgs.options.duration ? parseInt(parsedArgs.options.duration) : null;
+            const tags = parsedArgs.options.tags ? parsedArgs.options.tags.split(',') : [];
+            start(mode, duration, tags);
+            break;
+        case 'end':
+            end(parsedArgs.positional[0]);
+            break;
+        case 'pause':
+            pause(parsedArgs.positional[0]);
+            break;
+        case 'resume':
+            resume(parsedArgs.positional[0]);
+            break;
+        case 'status':
+            status(parsedArgs.positional[0]);
+            break;
+    }
+}
+
+function handleDaemonCommand(action) {
+    const daemonPid = TrackerDaemon.readPid(DAEMON_PID_FILE);
+    
+    switch (action || 'status') {
+        case 'start':
+            if (daemonPid) {
+                console.log(`✅ Tracker daemon already running (PID ${daemonPid})`);
+                return;
+            }
+            
+            fs.mkdirSync(path.dirname(DAEMON_LOG_FILE), { recursive: true });
+            const log = fs.openSync(DAEMON_LOG_FILE, 'a');
+            const { spawn } = require('child_process');
+            const child = spawn(process.execPath, [__filename, 'daemon', 'run'], {
+                detached: true,
+                stdio: ['ignore', log, log]
+            });
+            child.unref();
+            fs.closeSync(log);
+            
+            waitForDaemon(config.get('daemon.startTimeout', 5000)).then(info => {
+                if (info) {
+                    console.log(`✅ Tracker daemon started (PID ${info.pid})`);
+                    console.log(`🔌 Socket: ${DAEMON_SOCKET}`);
+                    console.log(`📄 Log: ${DAEMON_LOG_FILE}`);
+                } else {
+                    console.log(`❌ Tracker daemon did not come up - see ${DAEMON_LOG_FILE}`);
+                    process.exitCode = 1;
+                }
+            }).catch(error => {
+                console.error(`❌ Could not reach the tracker daemon: ${error.message}`);
+                process.exitCode = 1;
+            });
+            break;
+        case 'stop':
+            if (!daemonPid) {
+                console.log('⚪ Tracker daemon is not running');
+                return;
+            }
+            
+            TrackerDaemon.request(DAEMON_SOCKET, { command: 'shutdown' }, config.get('daemon.requestTimeout', 10000))
+                .then(() => true)
+                .catch(() => {
+                    // Not answering on the socket; the pidfile still names it
+                    try {
+                        process.kill(daemonPid, 'SIGTERM');
+                        return true;
+                    } catch (error) {
+                        if (error.code === 'ESRCH') {
+                            console.log(`⚪ Tracker daemon (PID ${daemonPid}) had already exited`);
+                        } else {
+                            console.error(`❌ Could not stop the tracker daemon (PID ${daemonPid}): ${error.message}`);
+                            process.exitCode = 1;
+                        }
+                        return false;
+                    }
+                })
+                .then(stopped => {
+                    if (!stopped) return;
+                    console.log(`🛑 Tracker daemon stopped (PID ${daemonPid})`);
+                    console.log('💡 Its sessions stay open; the next `start` or `daemon start` takes over their timers');
+                });
+            break;
+        case 'status':
+            if (!daemonPid) {
+                console.log('⚪ Tracker daemon is not running');
+                console.log('💡 Start it with: node scripts/session-tracker.js daemon start');
+                return;
+            }
+            
+            TrackerDaemon.request(DAEMON_SOCKET, { command: 'ping' }, config.get('daemon.requestTimeout', 10000))
+                .then(info => {
+                    console.log(`🟢 Tracker daemon running (PID ${info.pid})`);
+                    console.log(`🕐 Since: ${new Date(info.startedAt).toLocaleString()}`);
+                    console.log(`🔌 Socket: ${DAEMON_SOCKET}`);
+                    console.log(`🔍 Auto-detection: ${info.autoDetect ? 'on' : 'off'}`);
+                    console.log(`⏰ Keeping timers for ${info.sessions.length} session${info.sessions.length === 1 ? '' : 's'}`);
+                    info.sessions.forEach(session => console.log(`   ${session}`));
+                })
+                .catch(error => {
+                    console.log(`🔴 Tracker daemon (PID ${daemonPid}) is not answering: ${error.message}`);
+                    process.exitCode = 1;
+                });
+            break;
+        case 'run':
+            runDaemon();
+            break;
+        default:
+            console.log('Available daemon actions: start, stop, status, run');
+            break;
+    }
+}
+
+/**
+ * Poll the daemon socket until it answers
+ * @returns {Promise<Object|null>} The daemon's ping response, or null on timeout
+ */
+function waitForDaemon(timeout) {
+    const deadline = Date.now() + timeout;
+    const attempt = () => TrackerDaemon.request(DAEMON_SOCKET, { command: 'ping' }, 1000)
+        .catch(() => {
+            if (Date.now() >= deadline) return null;
+            return new Promise(resolve => setTimeout(resolve, 100)).then(attempt);
+        });
+    return attempt();
+}
+
+/**
+ * Run as the daemon: own the timers of every open session, run auto-detection,
+ * and serve client commands on the control socket
+ */
+function runDaemon() {
+    trackerDaemon = new TrackerDaemon({
+        socketFile: DAEMON_SOCKET,
+        pidFile: DAEMON_PID_FILE,
+        handler: handleDaemonRequest
+    });
+    
+    trackerDaemon.listen().then(() => {
+        console.log(`\n🛰️  [${new Date().toLocaleString()}] Tracker daemon listening on ${DAEMON_SOCKET} (PID ${process.pid})`);
+        
+        if (config.get('sessions.recovery.checkOnStart', true)) {
+            recoverSessions({ policy: config.get('sessions.recovery.policy', 'prompt'), quiet: true });
+        }
+        adoptOpenSessions();
+        if (config.get('daemon.autoDetect', true)) {
+            createAutoDetector();
+        }
+        startWellbeingReminders();
+        trackUsageWindow();
+        setInterval(trackUsageWindow, config.get('sessions.usageWindow.refreshInterval', 60000));
+        
+        process.on('SIGINT', stopDaemon);
+        process.on('SIGTERM', stopDaemon);
+    }).catch(error => {
+        console.log(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+function stopDaemon() {
+    console.log(`🛑 [${new Date().toLocaleString()}] Tracker daemon stopping`);
+    clearWarnings();
+    unwatchSession();
+    if (autoDetector) {
+        autoDetector.stopMonitoring();
+    }
+    if (trackerDaemon) {
+        trackerDaemon.close();
+    }
+    process.exit(0);
+}
+
+/**
+ * Daemon tick: keep the usage window anchor current between commands
+ * The store is only written when a new window has opened.
+ */
+function trackUsageWindow() {
+    const data = loadData();
+    const usageWindow = getUsageWindow(Date.now(), data);
+    if (usageWindow && data.usageWindow?.start !== usageWindow.start.toISOString()) {
+        updateData(data => rememberUsageWindow(data, usageWindow));
+    }
+}
+
+/**
+ * Take over the timers of open sessions whose tracker process has exited
+ */
+function adoptOpenSessions() {
+    const adopted = updateData(data => data.sessions
+        .filter(session => !session.endTime && SessionRecovery.isOwnerAlive(session) !== true)
+        .map(session => {
+            recordEvent(data, 'session_updated', session.id, {
+                changes: { owner: SessionRecovery.getOwner() },
+                action: 'adopt'
+            });
+            return session;
+        }));
+    
+    adopted.forEach(session => {
+        const timerConfig = session.timerConfig || config.getTimerMode(session.mode);
+        console.log(`🔁 Keeping timers for ${formatSessionLine(session)}`);
+        scheduleWarningsForMode(session, timerConfig);
+        watchSession(session.id, timerConfig);
+    });
+}
+
+/**
+ * Answer one request on the daemon's control socket
+ * Session commands run in the client's directory, and what they print goes back to the client.
+ */
+function handleDaemonRequest(request) {
+    switch (request.command) {
+        case 'ping':
+            const sessions = loadData().sessions.filter(session => sessionWatchers.has(session.id));
+            return {
+                pid: process.pid,
+                startedAt: trackerDaemon.startedAt.toISOString(),
+                autoDetect: Boolean(autoDetector),
+                sessions: sessions.map(formatSessionLine)
+            };
+        case 'shutdown':
+            // Answer first, then exit
+            setTimeout(stopDaemon, 100);
+            return { output: '🛑 Tracker daemon stopping\n' };
+        default:
+            if (!DAEMON_COMMANDS.includes(request.command)) {
+                throw new Error(`Unknown command "${request.command}"`);
+            }
+            console.log(`📨 [${new Date().toLocaleString()}] ${request.command} ${(request.args || []).join(' ')} (in ${request.cwd})`);
+            return {
+                output: captureOutput(() => {
+                    inDirectory(request.cwd, () => executeSessionCommand(request.command, parseArgs(request.args || [])));
+                })
+            };
+    }
+}
+
+/**
+ * Run a function with console output collected instead of printed
+ * @returns {string} Everything it logged
+ */
+function captureOutput(fn) {
+    const util = require('util');
+    const original = { log: console.log, error: console.error, warn: console.warn };
+    let output = '';
+    const collect = (...items) => { output += util.format(...items) + '\n'; };
+    
+    console.log = console.error = console.warn = collect;
+    try {
+        fn();
+    } finally {
+        Object.assign(console, original);
+    }
+    return output;
+}
+
+function inDirectory(dir, fn) {
+    const previous = process.cwd();
+    process.chdir(dir || previous);
+    try {
+        return fn();
+    } finally {
+        process.chdir(previous);
+    }
+}
@@ -0,0 +1,141 @@
+// tracker-daemon.js - Control socket and pidfile for the long-running tracker daemon
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const SessionStore = require('./session-store');
+
+class TrackerDaemon {
+    /**
+     * @param {Object} options - Daemon options
+     * @param {string} options.socketFile - Unix domain socket the daemon listens on
+     * @param {string} options.pidFile - File holding the daemon's process id
+     * @param {Function} options.handler - Called with each request object; returns the response (or a promise of it)
+     */
+    constructor(options = {}) {
+        this.socketFile = options.socketFile;
+        this.pidFile = options.pidFile;
+        this.handler = options.handler;
+        this.server = null;
+        this.startedAt = null;
+    }
+
+    /**
+     * Claim the pidfile and start listening on the socket
+     * @returns {Promise} Resolves once the socket accepts connections
+     */
+    listen() {
+        const running = TrackerDaemon.readPid(this.pidFile);
+        if (running && running !== process.pid) {
+            return Promise.reject(new Error(`Daemon already running (PID ${running})`));
+        }
+
+        fs.mkdirSync(path.dirname(this.socketFile), { recursive: true });
+        // Left behind by a daemon that did not shut down cleanly
+        if (fs.existsSync(this.socketFile)) {
+            fs.unlinkSync(this.socketFile);
+        }
+
+        this.server = net.createServer(socket => this.handleConnection(socket));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.socketFile, () => {
+                // Only the user that runs the daemon may control it
+                fs.chmodSync(this.socketFile, 0o600);
+                SessionStore.writeFileAtomic(this.pidFile, `${process.pid}\n`);
+                this.startedAt = new Date();
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Read one JSON request line from a client and answer with one JSON response line
+     */
+    handleConnection(socket) {
+        let buffer = '';
+        socket.setEncoding('utf8');
+        socket.on('error', () => {}); // Client went away; nothing to answer
+        socket.on('data', chunk => {
+            buffer += chunk;
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) return;
+
+            let request;
+            try {
+                request = JSON.parse(buffer.substring(0, newline));
+            } catch (error) {
+                socket.end(JSON.stringify({ ok: false, error: 'Malformed request' }) + '\n');
+                return;
+            }
+
+            Promise.resolve()
+                .then(() => this.handler(request))
+                .then(response => ({ ok: true, ...response }))
+                .catch(error => ({ ok: false, error: error.message }))
+                .then(response => socket.end(JSON.stringify(response) + '\n'));
+        });
+    }
+
+    /**
+     * Stop listening and remove the socket and pidfile
+     */
+    close() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+        [this.socketFile, this.pidFile].forEach(file => {
+            try {
+                fs.unlinkSync(file);
+            } catch (error) {
+                // Already gone
+            }
+        });
+    }
+
+    /**
+     * Process id of the running daemon
+     * @param {string} pidFile - Daemon pidfile
+     * @returns {number|null} null when there is no pidfile or its process has exited
+     */
+    static readPid(pidFile) {
+        try {
+            const pid = parseInt(fs.readFileSync(pidFile, 'utf8'));
+            return pid && SessionStore.isProcessAlive(pid) ? pid : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Send a request to the daemon
+     * @param {string} socketFile - Daemon socket
+     * @param {Object} request - Request object
+     * @param {number} timeout - Give up after this many milliseconds
+     * @returns {Promise<Object>} The daemon's response
+     */
+    static request(socketFile, request, timeout = 10000) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection(socketFile);
+            let buffer = '';
+
+            socket.setEncoding('utf8');
+            socket.setTimeout(timeout, () => {
+                socket.destroy();
+                reject(new Error(`Daemon did not answer within ${timeout}ms`));
+            });
+            socket.on('connect', () => socket.write(JSON.stringify(request) + '\n'));
+            socket.on('data', chunk => { buffer += chunk; });
+            socket.on('error', reject);
+            socket.on('end', () => {
+                try {
+                    resolve(JSON.parse(buffer));
+                } catch (error) {
+                    reject(new Error('Daemon closed the connection without answering'));
+                }
+            });
+        });
+    }
+}
+
+module.exports = TrackerDaemon;
@@ -0,0 +1,188 @@
+// usage-ledger.js - Per-day usage computed from sessions, split at local day boundaries
+const SessionTime = require('./session-time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UsageLedger {
+    /**
+     * @param {Object} options - Ledger options
+     * @param {string} options.timeZone - IANA time zone, or 'local' for the system zone
+     * @param {number} options.dayStartHour - Hour (0-23) a day begins at, for late-night work
+     */
+    constructor(options = {}) {
+        this.timeZone = options.timeZone && options.timeZone !== 'local' ? options.timeZone : null;
+        this.dayStartHour = options.dayStartHour || 0;
+
+        if (this.timeZone) {
+            // Fails fast on unknown zones
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        }
+    }
+
+    /**
+     * Ledger key (YYYY-MM-DD) of the day containing a time
+     * @param {Date|number} time - Point in time
+     */
+    getDayKey(time) {
+        const parts = this.getWallClock(new Date(time).getTime());
+        // Before the start hour still counts as the previous day (01:00 with a 04:00 start)
+        const calendarDay = new Date(Date.UTC(parts.year, parts.month - 1,
+            parts.day - (parts.hour < this.dayStartHour ? 1 : 0)));
+        return calendarDay.toISOString().substring(0, 10);
+    }
+
+    /**
+     * Time range covered by a ledger day
+     * @param {string} key - Day key (YYYY-MM-DD)
+     * @returns {Object} { start, end } as Dates, end exclusive (days around DST changes are 23 or 25 hours)
+     */
+    getDayRange(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return {
+            start: this.fromWallClock(year, month, day, this.dayStartHour),
+            end: this.fromWallClock(year, month, day + 1, this.dayStartHour)
+        };
+    }
+
+    /**
+     * Build the ledger for a span of days
+     * @param {Array} sessions - Array of session objects
+     * @param {Object} options - { from, to, now } as Dates; defaults to every day with activity
+     * @returns {Array} Days in order: [{ key, start, end, totalMs, sessions: [{ id, project, ms }], projects: { name: ms } }]
+     */
+    buildLedger(sessions, options = {}) {
+        const now = options.now ? options.now.getTime() : Date.now();
+        const from = options.from ? options.from.getTime() : -Infinity;
+        const to = options.to ? options.to.getTime() : Infinity;
+        const days = new Map();
+
+        sessions.forEach(session => {
+            SessionTime.getActiveIntervals(session, now).forEach(interval => {
+                let cursor = Math.max(interval.start, from);
+                const intervalEnd = Math.min(interval.end, to);
+
+                // Cut the interval at each day boundary it crosses
+                while (cursor < intervalEnd) {
+                    const key = this.getDayKey(cursor);
+                    const range = this.getDayRange(key);
+                    const sliceEnd = Math.min(intervalEnd, range.end.getTime());
+                    this.addToDay(days, key, range, session, sliceEnd - cursor);
+                    cursor = sliceEnd;
+                }
+            });
+        });
+
+        return Array.from(days.values()).sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Ledger entry for one day
+     * @param {Array} sessions - Array of session objects
+     * @param {string} key - Day key (YYYY-MM-DD)
+     * @param {Date} now - Reference time for active sessions
+     */
+    getDay(sessions, key, now = new Date()) {
+        const range = this.getDayRange(key);
+        const [day] = this.buildLedger(sessions, { from: range.start, to: range.end, now });
+        return day || { key, ...range, totalMs: 0, sessions: [], projects: {} };
+    }
+
+    /**
+     * Key for today, offset by a number of days
+     */
+    getTodayKey(offsetDays = 0, now = new Date()) {
+        const todayStart = this.getDayRange(this.getDayKey(now)).start.getTime();
+        // Land mid-day so DST-length days cannot skip or repeat a key
+        return this.getDayKey(todayStart + offsetDays * DAY_MS + DAY_MS / 2);
+    }
+
+    /**
+     * Parse a user-supplied day: YYYY-MM-DD, 'today', 'yesterday' or an offset like -3
+     */
+    parseDay(value, now = new Date()) {
+        if (!value || value === 'today') return this.getTodayKey(0, now);
+        if (value === 'yesterday') return this.getTodayKey(-1, now);
+        if (/^[+-]?\d+$/.test(value)) return this.getTodayKey(parseInt(value), now);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        throw new Error(`Cannot understand day "${value}" (use YYYY-MM-DD, today, yesterday or -N)`);
+    }
+
+    /**
+     * Add a slice of a session to its day
+     */
+    addToDay(days, key, range, session, ms) {
+        if (!days.has(key)) {
+            days.set(key, { key, ...range, totalMs: 0, sessions: [], projects: {} });
+        }
+        const day = days.get(key);
+        const project = session.project?.name || 'Unknown';
+
+        day.totalMs += ms;
+        day.projects[project] = (day.projects[project] || 0) + ms;
+
+        const entry = day.sessions.find(s => s.id === session.id);
+        if (entry) {
+            entry.ms += ms;
+        } else {
+            day.sessions.push({ id: session.id, project, active: !session.endTime, ms });
+        }
+    }
+
+    /**
+     * Wall-clock fields of a time in the ledger's zone
+     */
+    getWallClock(time) {
+        const date = new Date(time);
+        if (!this.timeZone) {
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth() + 1,
+                day: date.getDate(),
+                hour: date.getHours(),
+                minute: date.getMinutes(),
+                second: date.getSeconds()
+            };
+        }
+
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+        });
+        return parts;
+    }
+
+    /**
+     * The instant a wall-clock time occurs in the ledger's zone
+     */
+    fromWallClock(year, month, day, hour) {
+        if (!this.timeZone) {
+            return new Date(year, month - 1, day, hour);
+        }
+
+        // Guess with the offset at the naive time, then correct once for a DST change in between
+        const naive = Date.UTC(year, month - 1, day, hour);
+        let result = naive - this.getOffset(naive);
+        result = naive - this.getOffset(result);
+        return new Date(result);
+    }
+
+    /**
+     * Offset of the ledger's zone from UTC at a time (ms)
+     */
+    getOffset(time) {
+        const parts = this.getWallClock(time);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(time / 1000) * 1000;
+    }
+}
+
+module.exports = UsageLedger;
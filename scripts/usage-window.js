@@ -0,0 +1,56 @@
+// usage-window.js - Claude rolling usage windows computed from message timestamps
+
+class UsageWindow {
+    /**
+     * Split message timestamps into usage windows
+     * A window opens at the first message after the previous window expired and lasts a fixed length.
+     * @param {Array<number>} timestamps - Sorted message timestamps (ms)
+     * @param {number} windowMs - Window length
+     * @param {Date} anchor - Start of a window known from earlier; windows follow on from it and
+     *   earlier timestamps are ignored
+     * @returns {Array} [{ start, end, messageCount, lastMessage }] with Date fields
+     */
+    static computeWindows(timestamps, windowMs, anchor = null) {
+        const windows = [];
+        let current = null;
+
+        if (anchor) {
+            current = {
+                start: new Date(anchor.getTime()),
+                end: new Date(anchor.getTime() + windowMs),
+                messageCount: 0,
+                lastMessage: null
+            };
+            windows.push(current);
+            timestamps = timestamps.filter(at => at >= anchor.getTime());
+        }
+
+        timestamps.forEach(at => {
+            if (!current || at >= current.end.getTime()) {
+                current = {
+                    start: new Date(at),
+                    end: new Date(at + windowMs),
+                    messageCount: 0,
+                    lastMessage: null
+                };
+                windows.push(current);
+            }
+            current.messageCount++;
+            current.lastMessage = new Date(at);
+        });
+
+        return windows;
+    }
+
+    /**
+     * Find the window open at a point in time
+     * @param {Array} windows - Windows from computeWindows
+     * @param {number} at - Point in time (ms)
+     * @returns {Object|null} The open window, or null between windows
+     */
+    static findWindowAt(windows, at = Date.now()) {
+        return windows.find(window => window.start.getTime() <= at && at < window.end.getTime()) || null;
+    }
+}
+
+module.exports = UsageWindow;
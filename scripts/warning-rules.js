@@ -0,0 +1,175 @@
+// warning-rules.js - Declarative warning rules: conditions on a session's time, tokens and usage
+
+// Condition name -> context value it reads, and whether the value must fall to (below) or reach the limit
+const CONDITIONS = {
+    remainingBelow: { value: 'remaining', below: true }, // Time left on the session timer (ms)
+    elapsedAbove: { value: 'active' }, // Active session time, pauses and idle excluded (ms)
+    tokensAbove: { value: 'tokens' }, // Tokens used in the session
+    dailyUsageAbove: { value: 'today' }, // Working time today across all sessions (ms)
+    monthlyPercentAbove: { value: 'monthlyPercent' } // Share of the monthly session quota used
+};
+const ACTIONS = ['console', 'notification', 'hook'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+class WarningRules {
+    /**
+     * Condition names accepted in a rule's `when`
+     */
+    static get CONDITIONS() {
+        return Object.keys(CONDITIONS);
+    }
+
+    static get ACTIONS() {
+        return ACTIONS;
+    }
+
+    static get SEVERITIES() {
+        return SEVERITIES;
+    }
+
+    /**
+     * The rules implied by a timer mode's warning times (and its expiry notice)
+     * @param {Object} timerConfig - Timer mode configuration
+     * @param {Object} options - { criticalWithin, expiry }: warnings this close to the end are
+     *   critical; expiry adds a rule for the end itself
+     * @returns {Array} Rules
+     */
+    static fromTimerMode(timerConfig, options = {}) {
+        const criticalWithin = options.criticalWithin || 0;
+        const rules = (timerConfig.warnings || []).map(warningTime => ({
+            // Whole minutes keep the keys older schedules used (30min, 10min)
+            id: warningTime % 60000 === 0 ? `${warningTime / 60000}min` : `${Math.round(warningTime / 1000)}s`,
+            severity: warningTime <= criticalWithin ? 'critical' : 'warning',
+            when: { remainingBelow: warningTime },
+            actions: ['console', 'notification'],
+            title: 'Session Warning',
+            message: '{remainingBelow} remaining in your session! Save your work.'
+        }));
+
+        if (options.expiry) {
+            rules.push({
+                id: 'expiry',
+                severity: 'critical',
+                when: { remainingBelow: 0 },
+                actions: ['console', 'notification'],
+                title: 'Session EXPIRED',
+                message: 'Your session time has ended! End this session and start a new one if needed.'
+            });
+        }
+        return rules;
+    }
+
+    /**
+     * Check whether a rule is limited to other timer modes
+     */
+    static appliesTo(rule, session) {
+        return !Array.isArray(rule.modes) || rule.modes.includes(session.mode);
+    }
+
+    /**
+     * Check whether a rule only depends on the session timer, so its time can be known in advance
+     */
+    static isTimerOnly(rule) {
+        return Object.keys(rule.when || {}).every(name => name === 'remainingBelow');
+    }
+
+    /**
+     * Earliest time at which the clock alone can make a rule's conditions hold
+     * Token and quota conditions cannot be predicted; they are checked from then on.
+     * @param {Object} rule - Warning rule
+     * @param {Object} context - { now, expiry, active, today, running }
+     * @returns {number} Timestamp (ms); -Infinity when the clock does not hold it back,
+     *   Infinity while paused time stops the clock
+     */
+    static getDueAt(rule, context) {
+        const when = rule.when || {};
+        const times = [-Infinity];
+
+        if (when.remainingBelow !== undefined) {
+            times.push(context.expiry - when.remainingBelow);
+        }
+        [['elapsedAbove', context.active], ['dailyUsageAbove', context.today]].forEach(([name, used]) => {
+            if (when[name] === undefined || used >= when[name]) return;
+            times.push(context.running ? context.now + when[name] - used : Infinity);
+        });
+        return Math.max(...times);
+    }
+
+    /**
+     * Check whether every condition of a rule holds
+     * @param {Object} rule - Warning rule
+     * @param {Object} context - { remaining, active, tokens, today, monthlyPercent }
+     */
+    static matches(rule, context) {
+        return Object.entries(rule.when || {}).every(([name, limit]) => {
+            const condition = CONDITIONS[name];
+            if (!condition) return false;
+            const value = context[condition.value];
+            return condition.below ? value <= limit : value >= limit;
+        });
+    }
+
+    /**
+     * Fill {placeholders} in a rule's message
+     * @param {string} template - Message with {name} placeholders
+     * @param {Object} values - Placeholder values; unknown placeholders are left as they are
+     */
+    static formatMessage(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+            values[name] !== undefined ? String(values[name]) : match);
+    }
+
+    /**
+     * Problems with configured rules
+     * @param {Array} rules - Rules from warnings.rules
+     * @returns {Array<string>} Error messages
+     */
+    static validate(rules) {
+        if (!Array.isArray(rules)) {
+            return ['warnings.rules must be an array'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+        rules.forEach((rule, index) => {
+            const label = `warnings.rules[${index}]`;
+            if (!rule || typeof rule.id !== 'string' || !rule.id) {
+                errors.push(`${label}.id must be a non-empty string`);
+                return;
+            }
+            if (ids.has(rule.id)) {
+                errors.push(`${label}.id "${rule.id}" is used by another rule`);
+            }
+            ids.add(rule.id);
+
+            if (!SEVERITIES.includes(rule.severity || 'warning')) {
+                errors.push(`${label}.severity must be one of ${SEVERITIES.join(', ')}`);
+            }
+
+            const conditions = Object.entries(rule.when || {});
+            if (conditions.length === 0) {
+                errors.push(`${label}.when needs at least one of ${this.CONDITIONS.join(', ')}`);
+            }
+            conditions.forEach(([name, limit]) => {
+                if (!CONDITIONS[name]) {
+                    errors.push(`${label}.when.${name} is not a known condition (${this.CONDITIONS.join(', ')})`);
+                } else if (typeof limit !== 'number' || limit < 0) {
+                    errors.push(`${label}.when.${name} must be a number of 0 or more`);
+                }
+            });
+
+            const actions = rule.actions || ['console', 'notification'];
+            if (!Array.isArray(actions) || actions.some(action => !ACTIONS.includes(action))) {
+                errors.push(`${label}.actions must list some of ${ACTIONS.join(', ')}`);
+            } else if (actions.includes('hook') && typeof rule.command !== 'string') {
+                errors.push(`${label}.command is required for the hook action`);
+            }
+            if (rule.modes !== undefined && !Array.isArray(rule.modes)) {
+                errors.push(`${label}.modes must be an array of timer mode names`);
+            }
+        });
+        return errors;
+    }
+}
+
+module.exports = WarningRules;
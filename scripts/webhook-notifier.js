@@ -0,0 +1,415 @@
+// webhook-notifier.js - POST tracker events to webhooks (generic JSON, Slack, Discord) with retries and an offline queue
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const LockedJsonFile = require('./locked-json-file');
+const ExportUtils = require('./export-utils');
+
+const FORMATS = ['generic', 'slack', 'discord'];
+const DEFAULT_EVENTS = ['warning', 'expired', 'session_end', 'limit_approaching'];
+const COLORS = { info: '#439FE0', warning: '#DAA038', critical: '#D00000', success: '#2EB67D' };
+const FOOTER = 'Claude Code Session Tracker';
+
+class WebhookNotifier {
+    /**
+     * @param {Object} options - Webhook options
+     * @param {Array} options.endpoints - [{ name, url, format, events, headers, fields, enabled }]
+     * @param {number} options.retries - Extra attempts after a failed delivery
+     * @param {number} options.backoff - Wait before the first retry (ms); doubles each time
+     * @param {number} options.timeout - Time limit per request (ms)
+     * @param {string} options.queueFile - Undelivered payloads are kept here until the endpoint answers again
+     * @param {number} options.queueLimit - Oldest queued payloads are dropped beyond this many
+     */
+    constructor(options = {}) {
+        this.endpoints = (options.endpoints || []).filter(endpoint => endpoint && endpoint.enabled !== false);
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.backoff = options.backoff || 1000;
+        this.timeout = options.timeout || 5000;
+        this.queueLimit = options.queueLimit || 500;
+        this.queue = options.queueFile ?
+            new LockedJsonFile({ filePath: options.queueFile, label: 'webhook queue' }) : null;
+    }
+
+    static get FORMATS() {
+        return FORMATS;
+    }
+
+    static get DEFAULT_EVENTS() {
+        return DEFAULT_EVENTS;
+    }
+
+    /**
+     * Display name of an endpoint
+     */
+    static getName(endpoint) {
+        return endpoint.name || endpoint.url;
+    }
+
+    /**
+     * Endpoints that want an event
+     */
+    getEndpoints(event) {
+        return this.endpoints.filter(endpoint => (endpoint.events || DEFAULT_EVENTS).includes(event));
+    }
+
+    /**
+     * Send an event to every endpoint that wants it
+     * A payload that cannot be delivered after the retries is queued; a delivery that
+     * succeeds sends that endpoint's queued payloads too.
+     * @returns {Promise<Array>} [{ endpoint, ok, status, attempts, error, queued }]
+     */
+    async dispatch(event, session, details = {}) {
+        const results = [];
+        for (const endpoint of this.getEndpoints(event)) {
+            const payload = WebhookNotifier.buildPayload(endpoint, event, session, details);
+            const result = await this.deliver(endpoint, payload);
+            if (result.ok) {
+                await this.flush(endpoint.url);
+            } else if (result.retryable) {
+                result.queued = this.enqueue(endpoint, event, payload, result.error);
+            }
+            results.push({ endpoint: WebhookNotifier.getName(endpoint), ...result });
+        }
+        return results;
+    }
+
+    /**
+     * POST a payload, retrying with exponential backoff on network errors, 429 and 5xx answers
+     * @returns {Promise<Object>} { ok, status, attempts, error, retryable }
+     */
+    async deliver(endpoint, payload) {
+        let attempt = 0;
+        for (;;) {
+            attempt++;
+            const result = await WebhookNotifier.post(endpoint.url, payload, {
+                headers: endpoint.headers,
+                timeout: this.timeout
+            });
+            if (result.ok || !result.retryable || attempt > this.retries) {
+                return { ...result, attempts: attempt };
+            }
+            const wait = Math.max(this.backoff * 2 ** (attempt - 1), result.retryAfter || 0);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+
+    /**
+     * Keep an undelivered payload for later
+     * @returns {boolean} Whether it was queued
+     */
+    enqueue(endpoint, event, payload, error) {
+        if (!this.queue) return false;
+
+        this.queue.withLock(() => {
+            const entries = this.getQueued();
+            entries.push({
+                id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+                endpoint: WebhookNotifier.getName(endpoint),
+                url: endpoint.url,
+                event,
+                payload,
+                queuedAt: new Date().toISOString(),
+                lastError: error
+            });
+            this.queue.write(entries.slice(-this.queueLimit));
+        });
+        return true;
+    }
+
+    /**
+     * Payloads waiting in the offline queue
+     * An unreadable queue file counts as empty; the next enqueue or flush replaces it.
+     */
+    getQueued() {
+        try {
+            return (this.queue && this.queue.read()) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Send queued payloads, oldest first, stopping at the first one an endpoint still refuses
+     * Headers come from the endpoint's current configuration; they are never written to the queue.
+     * @param {string} url - Only this endpoint's payloads (default: all)
+     * @returns {Promise<Object>} { sent, failed, remaining }
+     */
+    async flush(url = null) {
+        const pending = this.getQueued().filter(entry => !url || entry.url === url);
+        const delivered = new Set();
+        const refused = new Set(); // Endpoints that are still down
+        const dropped = new Set(); // Rejected for good (4xx)
+
+        for (const entry of pending) {
+            if (refused.has(entry.url)) continue;
+            const endpoint = this.endpoints.find(e => e.url === entry.url) || { url: entry.url };
+            const result = await WebhookNotifier.post(entry.url, entry.payload, {
+                headers: endpoint.headers,
+                timeout: this.timeout
+            });
+            if (result.ok) {
+                delivered.add(entry.id);
+            } else if (result.retryable) {
+                refused.add(entry.url);
+            } else {
+                dropped.add(entry.id);
+            }
+        }
+
+        if (delivered.size === 0 && dropped.size === 0) {
+            return { sent: 0, failed: 0, remaining: this.getQueued().length };
+        }
+        const remaining = this.queue.withLock(() => {
+            const entries = this.getQueued().filter(entry => !delivered.has(entry.id) && !dropped.has(entry.id));
+            this.queue.write(entries);
+            return entries.length;
+        });
+        return { sent: delivered.size, failed: dropped.size, remaining };
+    }
+
+    /**
+     * POST JSON to a URL
+     * @param {string} url - http or https URL
+     * @param {Object} payload - Request body
+     * @param {Object} options - { headers, timeout }
+     * @returns {Promise<Object>} { ok, status, error, retryable, retryAfter } - never rejects
+     */
+    static post(url, payload, options = {}) {
+        return new Promise(resolve => {
+            let target;
+            try {
+                target = new URL(url);
+            } catch (error) {
+                resolve({ ok: false, status: null, error: `invalid URL ${url}`, retryable: false });
+                return;
+            }
+            const body = JSON.stringify(payload);
+            const client = target.protocol === 'https:' ? https : http;
+
+            const request = client.request(target, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    'User-Agent': 'claude-session-tracker',
+                    ...(options.headers || {})
+                }
+            }, response => {
+                let text = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { text = (text + chunk).slice(0, 500); });
+                response.on('end', () => {
+                    const status = response.statusCode;
+                    if (status >= 200 && status < 300) {
+                        resolve({ ok: true, status, error: null, retryable: false });
+                        return;
+                    }
+                    const retryAfter = parseInt(response.headers['retry-after']) * 1000 || 0;
+                    resolve({
+                        ok: false,
+                        status,
+                        error: `HTTP ${status}${text.trim() ? `: ${text.trim().split('\n')[0]}` : ''}`,
+                        retryable: status === 429 || status >= 500,
+                        retryAfter: Math.min(retryAfter, 60 * 1000)
+                    });
+                });
+            });
+            request.setTimeout(options.timeout || 5000, () => {
+                request.destroy(new Error(`no answer within ${options.timeout || 5000}ms`));
+            });
+            request.on('error', error => resolve({
+                ok: false,
+                status: null,
+                error: error.code && !error.message.includes(error.code) ? `${error.code}: ${error.message}` : error.message,
+                retryable: true
+            }));
+            request.end(body);
+        });
+    }
+
+    /**
+     * Payload for an endpoint's format, with its extra `fields` merged in
+     */
+    static buildPayload(endpoint, event, session, details = {}) {
+        const summary = this.describe(event, session, details);
+        let payload;
+        switch (endpoint.format || 'generic') {
+            case 'slack':
+                payload = this.toSlack(summary);
+                break;
+            case 'discord':
+                payload = this.toDiscord(summary);
+                break;
+            default:
+                payload = this.toGeneric(summary, event, session, details);
+                break;
+        }
+        return { ...payload, ...(endpoint.fields || {}) };
+    }
+
+    /**
+     * Title, text, severity and labelled fields describing an event
+     * @returns {Object} { title, text, severity, color, fields: [{ name, value }], timestamp }
+     */
+    static describe(event, session = {}, details = {}) {
+        const project = session.project?.name || (session.workingDirectory ? path.basename(session.workingDirectory) : 'Unknown');
+        const duration = session.duration !== null && session.duration !== undefined ?
+            ExportUtils.formatDuration(session.duration) : null;
+        const tokens = session.tokens ? ExportUtils.calculateTotalTokens(session.tokens) : 0;
+        const remaining = details.remainingMs !== undefined ? ExportUtils.formatDuration(details.remainingMs) : null;
+        let title;
+        let text;
+        let severity = 'info';
+        const fields = [{ name: 'Project', value: project }];
+        if (session.mode) fields.push({ name: 'Mode', value: session.mode });
+
+        switch (event) {
+            case 'session_start':
+                title = `▶️ Session started: ${project}`;
+                text = `Tracking started at ${new Date(session.startTime || Date.now()).toLocaleTimeString()}`;
+                break;
+            case 'session_end':
+                title = `✅ Session ended: ${project}`;
+                text = duration ? `Worked ${duration}` : 'Session closed';
+                severity = 'success';
+                if (duration) fields.push({ name: 'Duration', value: duration });
+                if (tokens > 0) fields.push({ name: 'Tokens', value: tokens.toLocaleString() });
+                if (details.reason) fields.push({ name: 'Ended by', value: details.reason });
+                break;
+            case 'warning':
+                title = `⚠️ Session warning: ${project}`;
+                text = remaining ? `${remaining} remaining - save your work` : `Warning ${details.warning || ''}`.trim();
+                severity = details.severity || 'warning';
+                if (details.warning) fields.push({ name: 'Warning', value: details.warning });
+                break;
+            case 'expired':
+                title = `🔴 Session expired: ${project}`;
+                text = 'The session time has ended';
+                severity = 'critical';
+                break;
+            case 'auto_detected':
+                title = `🔍 Claude Code session detected: ${project}`;
+                text = details.tracked ? 'Linked to a tracked session' : 'Not tracked';
+                break;
+            case 'limit_approaching':
+                severity = 'warning';
+                if (details.limit === 'daily') {
+                    title = '🛑 Daily cap reached';
+                    text = `${ExportUtils.formatDuration(details.usedMs || 0)} worked today ` +
+                        `(cap ${ExportUtils.formatDuration(details.capMs || 0)})`;
+                } else {
+                    title = '🚨 Approaching the monthly session limit';
+                    text = `${details.used}/${details.quota} sessions used this billing cycle (${details.percent}%)`;
+                }
+                break;
+            default:
+                title = event === 'test' ? '🔔 Session tracker test' : `🔔 ${event}: ${project}`;
+                text = details.message || 'Test notification from the session tracker';
+                severity = details.severity || 'info';
+                break;
+        }
+
+        return { title, text, severity, color: COLORS[severity] || COLORS.info, fields, timestamp: new Date().toISOString() };
+    }
+
+    /**
+     * Generic schema: the event, a readable title and text, and the session's key fields
+     */
+    static toGeneric(summary, event, session = {}, details = {}) {
+        return {
+            event,
+            timestamp: summary.timestamp,
+            severity: summary.severity,
+            title: summary.title,
+            text: summary.text,
+            session: {
+                id: session.id || null,
+                project: session.project?.name || null,
+                path: session.project?.path || session.workingDirectory || null,
+                mode: session.mode || null,
+                startTime: session.startTime || null,
+                endTime: session.endTime || null,
+                durationMs: session.duration !== undefined ? session.duration : null,
+                tokens: session.tokens || null,
+                tags: session.tags || []
+            },
+            details
+        };
+    }
+
+    /**
+     * Slack incoming webhook message (also accepted by Mattermost and Rocket.Chat)
+     */
+    static toSlack(summary) {
+        return {
+            text: `${summary.title}\n${summary.text}`,
+            attachments: [{
+                color: summary.color,
+                fields: summary.fields.map(field => ({ title: field.name, value: String(field.value), short: true })),
+                footer: FOOTER,
+                ts: Math.floor(Date.parse(summary.timestamp) / 1000)
+            }]
+        };
+    }
+
+    /**
+     * Discord webhook message with one embed
+     */
+    static toDiscord(summary) {
+        return {
+            embeds: [{
+                title: summary.title,
+                description: summary.text,
+                color: parseInt(summary.color.slice(1), 16),
+                fields: summary.fields.map(field => ({ name: field.name, value: String(field.value), inline: true })),
+                footer: { text: FOOTER },
+                timestamp: summary.timestamp
+            }]
+        };
+    }
+
+    /**
+     * Problems with the webhook configuration
+     * @param {Object} webhooks - notifications.webhooks
+     * @param {Array<string>} events - Event names endpoints may subscribe to
+     * @returns {Array<string>} Error messages
+     */
+    static validate(webhooks, events) {
+        const errors = [];
+        const endpoints = webhooks.endpoints || [];
+        if (!Array.isArray(endpoints)) {
+            return ['notifications.webhooks.endpoints must be an array'];
+        }
+        endpoints.forEach((endpoint, index) => {
+            const label = `notifications.webhooks.endpoints[${index}]`;
+            let url = null;
+            try {
+                url = new URL(endpoint.url);
+            } catch (error) {
+                // Reported below
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                errors.push(`${label}.url must be an http or https URL`);
+            }
+            if (endpoint.format !== undefined && !FORMATS.includes(endpoint.format)) {
+                errors.push(`${label}.format must be one of ${FORMATS.join(', ')}`);
+            }
+            if (endpoint.events !== undefined &&
+                (!Array.isArray(endpoint.events) || endpoint.events.some(event => !events.includes(event)))) {
+                errors.push(`${label}.events must list some of ${events.join(', ')}`);
+            }
+        });
+        ['backoff', 'timeout', 'queueLimit'].forEach(key => {
+            if (webhooks[key] !== undefined && (typeof webhooks[key] !== 'number' || webhooks[key] <= 0)) {
+                errors.push(`notifications.webhooks.${key} must be a positive number`);
+            }
+        });
+        if (webhooks.retries !== undefined && (!Number.isInteger(webhooks.retries) || webhooks.retries < 0)) {
+            errors.push('notifications.webhooks.retries must be a whole number of 0 or more');
+        }
+        return errors;
+    }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,107 @@
+// wellbeing.js - Stretch, eye-break and stop-for-the-day reminders from continuous and daily work time
+const SessionTime = require('./session-time');
+
+const REMINDERS = {
+    'eye-break': {
+        title: 'Eye break',
+        icon: '👀',
+        message: '{continuous} at the screen - look at something 20 feet away for 20 seconds'
+    },
+    'stretch': {
+        title: 'Stretch break',
+        icon: '🧘',
+        message: '{continuous} without a break - stand up and move for a few minutes'
+    },
+    'stop-for-day': {
+        title: 'Time to stop',
+        icon: '🌙',
+        message: '{today} worked today - time to stop for the day'
+    }
+};
+
+class Wellbeing {
+    /**
+     * @param {Object} options - Reminder settings (milliseconds; 0 turns a reminder off)
+     * @param {number} options.minBreak - A gap in work this long counts as a break
+     * @param {number} options.eyeBreakEvery - Eye break after each stretch of continuous work this long
+     * @param {number} options.stretchEvery - Stretch break after each stretch of continuous work this long
+     * @param {number} options.stopForDayAfter - Stop-for-the-day reminder once today's work reaches this
+     * @param {number} options.dailyCap - Warn before starting a session once today's work reaches this
+     */
+    constructor(options = {}) {
+        this.minBreak = options.minBreak || 5 * 60 * 1000;
+        this.eyeBreakEvery = options.eyeBreakEvery || 0;
+        this.stretchEvery = options.stretchEvery || 0;
+        this.stopForDayAfter = options.stopForDayAfter || 0;
+        this.dailyCap = options.dailyCap || 0;
+    }
+
+    /**
+     * The stretch of work going on now, across every session
+     * Work separated by less than minBreak counts as one stretch.
+     * @param {Array} sessions - Array of session objects
+     * @param {number} now - Reference time (ms)
+     * @returns {Object|null} { start, activeMs }, or null when no work happened within minBreak
+     */
+    getStreak(sessions, now = Date.now()) {
+        // Sessions in several projects can overlap; merge them into one timeline
+        const intervals = [];
+        sessions
+            .flatMap(session => SessionTime.getActiveIntervals(session, now))
+            .sort((a, b) => a.start - b.start)
+            .forEach(interval => {
+                const last = intervals[intervals.length - 1];
+                if (last && interval.start <= last.end) {
+                    last.end = Math.max(last.end, interval.end);
+                } else {
+                    intervals.push({ ...interval });
+                }
+            });
+        if (intervals.length === 0) return null;
+
+        let index = intervals.length - 1;
+        if (now - intervals[index].end >= this.minBreak) return null;
+
+        while (index > 0 && intervals[index].start - intervals[index - 1].end < this.minBreak) {
+            index--;
+        }
+        const streak = intervals.slice(index);
+        return {
+            start: streak[0].start,
+            activeMs: SessionTime.sumIntervals(streak)
+        };
+    }
+
+    /**
+     * Reminders that are due
+     * Each one has a key naming its occurrence (the streak and how many intervals into it,
+     * or the day), so it is given once however many trackers are watching.
+     * @param {Object} status - { streak, today, dayKey } with today in ms
+     * @returns {Array} [{ id, key, title, icon, message }] with {continuous} and {today} placeholders
+     */
+    getDueReminders(status) {
+        const due = [];
+        const { streak } = status;
+
+        [['eye-break', this.eyeBreakEvery], ['stretch', this.stretchEvery]].forEach(([id, every]) => {
+            if (!every || !streak || streak.activeMs < every) return;
+            const count = Math.floor(streak.activeMs / every);
+            due.push({ id, key: `${new Date(streak.start).toISOString()}#${count}`, ...REMINDERS[id] });
+        });
+
+        if (this.stopForDayAfter && status.today >= this.stopForDayAfter) {
+            due.push({ id: 'stop-for-day', key: status.dayKey, ...REMINDERS['stop-for-day'] });
+        }
+        return due;
+    }
+
+    /**
+     * Check whether today's work has reached the daily cap
+     * @param {number} today - Work so far today (ms)
+     */
+    isOverCap(today) {
+        return Boolean(this.dailyCap) && today >= this.dailyCap;
+    }
+}
+
+module.exports = Wellbeing;